@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+'use strict';
+
+require('../release/cli').main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,9 @@
+declare module 'glob' {
+    interface GlobOptions {
+        ignore?: string[];
+        nodir?: boolean;
+    }
+
+    function glob(pattern: string, options: GlobOptions, callback: (error: Error, matches: string[]) => void): void;
+    export = glob;
+}
@@ -13,10 +13,19 @@ declare module Less {
         functionRegistry: FunctionRegistry;
     }
 
+    interface ImportManager {
+        files: { [filePath: string]: any };
+        rootFilename: string;
+    }
+
     interface RelaxedLessStatic {
         render(input: string, options: Options2): PromiseLike<Less.RenderOutput>;
     }
 
+    interface ParsingLessStatic {
+        parse(input: string, options: Options2, callback: (error: any, root: Node, imports: ImportManager) => void): void;
+    }
+
     interface Node {
         currentFileInfo: RootFileInfo;
         name: string;
@@ -30,6 +39,16 @@ declare module Less {
         args: Arg[];
     }
 
+    interface ImportNode extends Node {
+        importedFilename?: string;
+        options: { plugin?: boolean };
+        path: { value?: any };
+    }
+
+    interface UrlNode extends Node {
+        value: { value?: any };
+    }
+
     interface Visitor {
         new (implementation: any): Visitor;
         visit(node: Node): Node;
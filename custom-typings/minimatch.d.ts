@@ -0,0 +1,9 @@
+declare module 'minimatch' {
+    interface MinimatchOptions {
+        matchBase?: boolean;
+        dot?: boolean;
+    }
+
+    function minimatch(path: string, pattern: string, options?: MinimatchOptions): boolean;
+    export = minimatch;
+}
@@ -49,7 +49,7 @@ gulp.task('pre-test', ['compile'], function () {
 });
 
 gulp.task('test-and-coverage', ['pre-test'], function () {
-    return gulp.src('test/**/*.js', { read: false })
+    return gulp.src('test/*.js', { read: false })
         .pipe(plugins.mocha({
             reporter: 'spec',
             require: [
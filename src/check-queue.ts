@@ -0,0 +1,82 @@
+import File = require('vinyl');
+import { Transform } from 'stream';
+
+module checkQueue {
+
+    interface QueuedCheck {
+        done: boolean;
+        file: File;
+    }
+
+    export class CheckQueue {
+        private queuedChecks: QueuedCheck[] = [];
+        private running = 0;
+        private waitingCallback: () => void = null;
+        private drainCallbacks: (() => void)[] = [];
+
+        constructor(private transform: Transform, private concurrency: number, private ordered: boolean) {
+        }
+
+        private takeCompletedChecks(): QueuedCheck[] {
+            if (this.ordered) {
+                // a check can only be pushed once every check queued before it has completed.
+                const firstPending = this.queuedChecks.findIndex(c => !c.done);
+                return this.queuedChecks.splice(0, firstPending < 0 ? this.queuedChecks.length : firstPending);
+            }
+
+            const completedChecks = this.queuedChecks.filter(c => c.done);
+            this.queuedChecks = this.queuedChecks.filter(c => !c.done);
+            return completedChecks;
+        }
+
+        private completeCheck(check: QueuedCheck, file: File) {
+            check.done = true;
+            check.file = file;
+            this.running--;
+            this.takeCompletedChecks()
+                .filter(c => !!c.file)
+                .forEach(c => this.transform.push(c.file));
+
+            if (this.waitingCallback) {
+                const callback = this.waitingCallback;
+                this.waitingCallback = null;
+                callback();
+            }
+
+            if (this.running === 0) {
+                const drainCallbacks = this.drainCallbacks;
+                this.drainCallbacks = [];
+                drainCallbacks.forEach(c => c());
+            }
+        }
+
+        public add(fileCheck: Promise<File>, callback: (error?: any, data?: any) => any) {
+            const check: QueuedCheck = { done: false, file: null };
+            this.queuedChecks.push(check);
+            this.running++;
+
+            fileCheck.then(
+                file => this.completeCheck(check, file),
+                error => {
+                    this.transform.emit('error', error);
+                    this.completeCheck(check, null);
+                });
+
+            // the next file is only accepted once there is a free slot.
+            if (this.running < this.concurrency) {
+                callback();
+            } else {
+                this.waitingCallback = () => callback();
+            }
+        }
+
+        public drain(): Promise<void> {
+            if (this.running === 0) {
+                return Promise.resolve();
+            }
+            return new Promise<void>(resolve => this.drainCallbacks.push(resolve));
+        }
+    }
+}
+
+export = checkQueue;
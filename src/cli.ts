@@ -0,0 +1,298 @@
+import File = require('vinyl');
+import * as fs from 'fs';
+import * as path from 'path';
+import * as bluebird from 'bluebird';
+import * as gutil from 'gulp-util';
+import glob = require('glob');
+import { ImportLister } from './import-lister';
+import { DependencyGraph, buildGraph } from './dependency-graph';
+import { Logger } from './logger';
+
+const fsAsync: any = bluebird.promisifyAll(fs);
+const globAsync: any = bluebird.promisify(glob);
+
+const assign = require('object-assign');
+const lessChanged: any = require('./main');
+
+const USAGE = `Usage: less-changed <command> [options]
+
+Commands:
+  status <globs...>  List the LESS files that are out of date. Exits with 1 if there are any.
+  deps <file>        Print the dependency tree of a LESS file.
+  why <file>         Explain why a LESS file is out of date.
+
+Options:
+  --config <file>           Load the plugin and LESS options from a module, e.g. the ones the build uses.
+  --paths <dir>             Add a search path for imports. Can be given more than once.
+  --out-dir <dir>           Look for outputs in this directory instead of next to each LESS file.
+  --compare <mode>          Compare using 'mtime' (the default) or 'hash'.
+  --manifest <file>         Compare against a build manifest.
+  --reference-file <file>   Compare against the timestamp of this file instead of each output.
+  --exclude-partials        Leave out files imported by other files being checked, e.g. for a glob like 'src/**/*.less'.
+  --log-level <level>       One of silent, error (the default), warn, info or debug.
+  --help                    Show this message.`;
+
+const REASONS: { [reason: string]: string } = {
+    'output-missing': 'its output is missing',
+    'file-changed': 'the file itself has changed since it was last built',
+    'dependencies-changed': 'some of its dependencies have changed',
+    'dependency-missing': 'some of its dependencies can\'t be found',
+    'options-changed': 'the LESS options, plugins or LESS version have changed since it was last built',
+    'not-built': 'there is no record of it being built',
+    'analysis-failed': 'its dependencies couldn\'t be worked out'
+};
+
+module cli {
+
+    export interface Output {
+        log(message: string): void;
+        error(message: string): void;
+    }
+
+    interface Arguments {
+        command: string;
+        files: string[];
+        options: any;
+        help: boolean;
+    }
+
+    class UsageError extends Error {
+        message: string;
+        constructor(message: string) {
+            super(message);
+            this.message = message;
+            this.name = (<any>this).constructor.name;
+            // Set the prototype explicitly.
+            Object.setPrototypeOf(this, UsageError.prototype);
+        }
+    }
+
+    const OPTION_NAMES: { [flag: string]: string } = {
+        '--config': 'config',
+        '--paths': 'paths',
+        '--out-dir': 'outDir',
+        '--compare': 'compare',
+        '--manifest': 'manifest',
+        '--reference-file': 'referenceFile',
+        '--log-level': 'logLevel'
+    };
+
+    const FLAG_NAMES: { [flag: string]: string } = {
+        '--exclude-partials': 'excludePartials'
+    };
+
+    function parseArguments(args: string[]): Arguments {
+        const parsed: Arguments = { command: null, files: [], options: {}, help: false };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '--help' || arg === '-h') {
+                parsed.help = true;
+            } else if (FLAG_NAMES[arg]) {
+                parsed.options[FLAG_NAMES[arg]] = true;
+            } else if (OPTION_NAMES[arg]) {
+                if (i + 1 >= args.length) {
+                    throw new UsageError(`Missing value for '${arg}'.`);
+                }
+                const value = args[++i];
+                const name = OPTION_NAMES[arg];
+                if (name === 'paths') {
+                    parsed.options.paths = [...(parsed.options.paths || []), value];
+                } else {
+                    parsed.options[name] = value;
+                }
+            } else if (arg.indexOf('--') === 0) {
+                throw new UsageError(`Unknown option '${arg}'.`);
+            } else if (!parsed.command) {
+                parsed.command = arg;
+            } else {
+                parsed.files.push(arg);
+            }
+        }
+
+        return parsed;
+    }
+
+    function loadConfig(configFile: string): any {
+        let config: any;
+        try {
+            config = require(path.resolve(configFile));
+        }
+        catch (error) {
+            throw new Error(`Failed to load options from '${configFile}': ${error.message || error}`);
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`Failed to load options from '${configFile}': expected a module exporting an options object.`);
+        }
+        return config;
+    }
+
+    // options given on the command line take precedence over the ones loaded from --config, except for paths which are added.
+    function loadOptions(options: any): any {
+        const config = options.config ? loadConfig(options.config) : {};
+        const loadedOptions = assign({ logLevel: 'error' }, config, options);
+        delete loadedOptions.config;
+        if (config.paths && options.paths) {
+            loadedOptions.paths = [...config.paths, ...options.paths];
+        }
+        return loadedOptions;
+    }
+
+    function getPluginOptions(options: any) {
+        const pluginOptions = assign({}, options);
+        delete pluginOptions.outDir;
+        if (options.outDir) {
+            pluginOptions.getOutputFileName = (input: string) =>
+                path.join(options.outDir, path.basename(input, path.extname(input)) + '.css');
+        }
+        return pluginOptions;
+    }
+
+    function getOutputFileNames(pluginOptions: any, input: string): string[] {
+        if (pluginOptions.referenceFile) {
+            return [pluginOptions.referenceFile];
+        }
+        if (pluginOptions.getOutputFileNames) {
+            return pluginOptions.getOutputFileNames(input);
+        }
+        const getOutputFileName = pluginOptions.getOutputFileName || ((input: string) => gutil.replaceExtension(input, '.css'));
+        return [getOutputFileName(input)];
+    }
+
+    async function fileExists(filePath: string): Promise<boolean> {
+        try {
+            await fsAsync.statAsync(filePath);
+            return true;
+        }
+        catch (error) {
+            return false;
+        }
+    }
+
+    function displayPath(filePath: string) {
+        return path.isAbsolute(filePath) ? path.relative(process.cwd(), filePath) || '.' : filePath;
+    }
+
+    async function findFiles(globs: string[]): Promise<string[]> {
+        const patterns = globs.filter(g => g[0] !== '!');
+        const ignore = globs.filter(g => g[0] === '!').map(g => g.slice(1));
+        const matches: string[][] = await Promise.all(patterns.map(p => globAsync(p, { ignore: ignore, nodir: true })));
+        return (<string[]>[]).concat(...matches).filter((p, i, paths) => paths.indexOf(p) === i).sort();
+    }
+
+    async function status(globs: string[], options: any, output: Output): Promise<number> {
+        if (globs.length === 0) {
+            throw new UsageError('No files given to check.');
+        }
+
+        const files = await findFiles(globs);
+        if (files.length === 0) {
+            output.error(`No files match ${globs.join(' ')}.`);
+            return 2;
+        }
+
+        const results = await lessChanged.check(files, getPluginOptions(options));
+        const staleResults = results.filter((r: any) => r.changed);
+        staleResults.forEach((r: any) => {
+            const changedDependencies = r.changedDependencies.length > 0 ? `: ${r.changedDependencies.map(displayPath).join(', ')}` : '';
+            output.log(`${displayPath(r.path)} (${r.reason}${changedDependencies})`);
+        });
+
+        if (staleResults.length > 0) {
+            output.log(`${staleResults.length} of ${results.length} file(s) out of date.`);
+            return 1;
+        }
+
+        output.log(`All ${results.length} file(s) up to date.`);
+        return 0;
+    }
+
+    function printTree(graph: DependencyGraph, missingPaths: string[], filePath: string, ancestors: string[], output: Output) {
+        const imports = graph.imports[filePath] || [];
+        imports.forEach(importPath => {
+            const isCycle = ancestors.indexOf(importPath) >= 0;
+            const note = isCycle ? ' (circular)' : missingPaths.indexOf(importPath) >= 0 ? ' (missing)' : '';
+            output.log(`${'  '.repeat(ancestors.length)}${displayPath(importPath)}${note}`);
+            if (!isCycle) {
+                printTree(graph, missingPaths, importPath, [...ancestors, importPath], output);
+            }
+        });
+    }
+
+    async function deps(files: string[], options: any, output: Output): Promise<number> {
+        if (files.length !== 1) {
+            throw new UsageError('Expected exactly one file.');
+        }
+
+        const filePath = files[0];
+        const contents = await fsAsync.readFileAsync(filePath);
+        const importLister = new ImportLister(getPluginOptions(options), new Logger(options.logLevel));
+        const imports = await importLister.listImports(new File({ path: filePath, contents: contents }));
+
+        const graph = buildGraph({ [filePath]: imports });
+        const missingPaths = imports.filter(i => i.missing).map(i => path.resolve(i.path));
+        const entryPath = path.resolve(filePath);
+        output.log(displayPath(entryPath));
+        printTree(graph, missingPaths, entryPath, [entryPath], output);
+        return 0;
+    }
+
+    async function why(files: string[], options: any, output: Output): Promise<number> {
+        if (files.length !== 1) {
+            throw new UsageError('Expected exactly one file.');
+        }
+
+        const pluginOptions = getPluginOptions(options);
+        const [result] = await lessChanged.check(files, pluginOptions);
+        const filePath = displayPath(result.path);
+        if (!result.changed) {
+            output.log(`${filePath} is up to date.`);
+            return 0;
+        }
+
+        output.log(`${filePath} is out of date because ${REASONS[result.reason] || result.reason}.`);
+        if (result.reason === 'output-missing') {
+            // the check resolves the path before working out the outputs, so the same is done here.
+            const outputFileNames = getOutputFileNames(pluginOptions, path.resolve(result.path));
+            const exists = await Promise.all(outputFileNames.map(f => fileExists(f)));
+            outputFileNames
+                .filter((f, i) => !exists[i])
+                .forEach(f => output.log(`  expected output: ${displayPath(path.resolve(f))}`));
+        }
+        result.changedDependencies.forEach((d: string) => output.log(`  ${displayPath(path.resolve(d))}`));
+        return 0;
+    }
+
+    export async function main(args: string[], output?: Output): Promise<number> {
+        output = output || { log: message => console.log(message), error: message => console.error(message) };
+
+        try {
+            const parsed = parseArguments(args);
+            if (parsed.help) {
+                output.log(USAGE);
+                return 0;
+            }
+
+            switch (parsed.command) {
+                case 'status':
+                    return await status(parsed.files, loadOptions(parsed.options), output);
+                case 'deps':
+                    return await deps(parsed.files, loadOptions(parsed.options), output);
+                case 'why':
+                    return await why(parsed.files, loadOptions(parsed.options), output);
+                default:
+                    throw new UsageError(parsed.command ? `Unknown command '${parsed.command}'.` : 'No command given.');
+            }
+        }
+        catch (error) {
+            if (error instanceof UsageError) {
+                output.error(`${error.message}\n\n${USAGE}`);
+                return 2;
+            }
+            output.error(error.message || String(error));
+            return 2;
+        }
+    }
+}
+
+export = cli;
@@ -1,18 +1,53 @@
 import * as path from 'path';
-import { DataUriVisitor, Import } from './data-uri-visitor';
+import { DataUriVisitor, Import, FileFunctions } from './data-uri-visitor';
+import { ImportEdgeVisitor, ImportEdge } from './import-edge-visitor';
+import { PluginVisitor } from './plugin-visitor';
 
 module dataUriVisitorPlugin {
     export class DataUriVisitorPlugin {
         private _dataUriVisitor: DataUriVisitor;
+        private _importEdgeVisitor: ImportEdgeVisitor;
+        private _pluginVisitor: PluginVisitor;
+
+        constructor(private fileFunctions?: FileFunctions) {
+        }
 
         public install(lessLocal: Less.LessStaticExtensions, pluginManager: any): void {
-            this._dataUriVisitor = new DataUriVisitor(lessLocal);
+            this._dataUriVisitor = new DataUriVisitor(lessLocal, this.fileFunctions);
+            this._importEdgeVisitor = new ImportEdgeVisitor(lessLocal);
+            this._pluginVisitor = new PluginVisitor(lessLocal);
             pluginManager.addVisitor(this._dataUriVisitor);
+            pluginManager.addVisitor(this._importEdgeVisitor);
+            pluginManager.addVisitor(this._pluginVisitor);
+        }
+
+        // runs the visitors over a tree that has been parsed but won't be evaluated.
+        public visit(root: Less.Node) {
+            this._dataUriVisitor.run(root);
+            this._importEdgeVisitor.run(root);
+            this._pluginVisitor.run(root);
+        }
+
+        // LESS evaluates the variables used in import paths while parsing, but those used by data-uri are only evaluated when rendering.
+        public get needsEvaluation(): boolean {
+            return this._dataUriVisitor ? this._dataUriVisitor.needsEvaluation : false;
         }
 
         public get imports(): Import[] {
             return this._dataUriVisitor ? this._dataUriVisitor.imports : [];
         }
+
+        public get urls(): Import[] {
+            return this._dataUriVisitor ? this._dataUriVisitor.urls : [];
+        }
+
+        public get pluginImports(): Import[] {
+            return this._pluginVisitor ? this._pluginVisitor.imports : [];
+        }
+
+        public get importEdges(): ImportEdge[] {
+            return this._importEdgeVisitor ? this._importEdgeVisitor.edges : [];
+        }
     }
 }
 
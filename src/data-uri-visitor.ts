@@ -1,74 +1,153 @@
 import * as less from 'less';
 import * as path from 'path';
 
+const assign = require('object-assign');
+
 module dataUriVisitor {
     export interface Import {
         directory: string;
         relativePath: string;
+        importedFrom?: string;
+    }
+
+    // maps the names of functions that read files to the index of the argument holding the path.
+    export interface FileFunctions {
+        [name: string]: number;
     }
 
+    export const DEFAULT_FILE_FUNCTIONS: FileFunctions = {
+        'image-size': 0,
+        'image-width': 0,
+        'image-height': 0
+    };
+
     export class DataUriVisitor {
         public isReplacing = false;
         public isPreEvalVisitor = true;
         private _visitor: Less.Visitor;
         private _imports: Import[] = [];
+        private _urls: Import[] = [];
+        private _importPaths: any[] = [];
+        private _fileFunctions: FileFunctions;
+        private _needsEvaluation = false;
 
-        constructor(less: Less.LessStaticExtensions) {
+        constructor(less: Less.LessStaticExtensions, fileFunctions?: FileFunctions) {
             this._visitor = new less.visitors.Visitor(this);
+            this._fileFunctions = assign({}, DEFAULT_FILE_FUNCTIONS, fileFunctions);
         }
 
         run(root: Less.Node) {
             return this._visitor.visit(root);
         }
 
-        private tryGetImportedFileName(ruleNode: Less.CallNode): string {
-            let fileName: any;
-
-            if (ruleNode.args.length === 2) { // specifying MIME type.
-                fileName = ruleNode.args[1];
-            } else {
-                fileName = ruleNode.args[0];
+        private getPathArgumentIndex(ruleNode: Less.CallNode): number {
+            if (ruleNode.name === 'data-uri') {
+                return ruleNode.args.length === 2 ? 1 : 0; // specifying MIME type.
             }
 
-            if (!fileName.value || /@/.test(fileName.value)) {
+            const index = this._fileFunctions.hasOwnProperty(ruleNode.name) ? this._fileFunctions[ruleNode.name] : null;
+            return typeof index === 'number' ? index : -1;
+        }
+
+        private getFileName(value: any): string {
+            if (typeof value !== 'string') {
                 return null;
             }
 
-            return fileName.value;
+            // like LESS, any fragment (e.g. an SVG view) is not part of the file path.
+            return value.replace(/#.*$/, '') || null;
         }
 
-        private getImportInfo(ruleNode: Less.CallNode): { ruleNode: Less.CallNode, importedFile?: string, entryPath?: string } {
-            if (ruleNode.name !== 'data-uri' ||
-                ruleNode.args.length === 0) {
-                return { ruleNode };
-            }
+        private getDirectory(fileInfo: Less.RootFileInfo): string {
+            // like LESS, paths are relative to the file they are in only when rewriting relative urls, and to the entry file otherwise.
+            // the rootpath only changes the urls written to the output, not where files are read from.
+            const directory = fileInfo.relativeUrls ? fileInfo.currentDirectory : fileInfo.entryPath;
+            return directory ? path.normalize(directory) : '';
+        }
+
+        private addImport(callNode: Less.CallNode, fileName: string) {
+            const fileInfo = callNode.currentFileInfo;
+            this._imports.push({ directory: this.getDirectory(fileInfo), relativePath: fileName, importedFrom: fileInfo.filename });
+        }
+
+        private recordWhenEvaluated(callNode: Less.CallNode, pathArgument: any): any {
+            const recordingArgument = Object.create(pathArgument);
+            recordingArgument.eval = (context: any) => {
+                const evaluated = pathArgument.eval(context);
+                const fileName = evaluated ? this.getFileName(evaluated.value) : null;
+                if (fileName) {
+                    this.addImport(callNode, fileName);
+                }
+                return evaluated;
+            };
+            return recordingArgument;
+        }
 
-            const importedFile = this.tryGetImportedFileName(ruleNode);
+        public visitCall(callNode: Less.CallNode, visitArgs: any) {
+            const index = callNode.args && callNode.args.length > 0 ? this.getPathArgumentIndex(callNode) : -1;
+            const pathArgument: any = index >= 0 ? callNode.args[index] : null;
+            if (!pathArgument) {
+                return callNode;
+            }
 
-            if (!importedFile) {
-                return { ruleNode };
+            const value = pathArgument.value;
+            if (typeof value === 'string' && !/@\{/.test(value)) {
+                const fileName = this.getFileName(value);
+                if (fileName) {
+                    this.addImport(callNode, fileName);
+                }
+            } else {
+                // variables and interpolated strings are only known once LESS evaluates them, which happens after this visitor runs.
+                callNode.args[index] = this.recordWhenEvaluated(callNode, pathArgument);
+                this._needsEvaluation = true;
             }
 
-            const entryPath = ruleNode.currentFileInfo.entryPath;
+            return callNode;
+        }
 
-            return { ruleNode, importedFile, entryPath };
+        public visitImport(importNode: Less.ImportNode, visitArgs: any) {
+            // a url() used to import a file is already tracked as an import.
+            this._importPaths.push(importNode.path);
+            return importNode;
         }
 
-        public visitCall(callNode: Less.CallNode, visitArgs: any) {
-            const { ruleNode, importedFile, entryPath } = this.getImportInfo(callNode);
+        private isLocalUrl(url: string): boolean {
+            // skips remote, protocol-relative and absolute urls, data: urls and bare fragments such as SVG filter references.
+            return url.length > 0 && !/^([a-z][a-z0-9+.-]*:|\/|\\|#)/i.test(url);
+        }
+
+        public visitUrl(urlNode: Less.UrlNode, visitArgs: any) {
+            if (this._importPaths.indexOf(urlNode) >= 0 || !urlNode.value) {
+                return urlNode;
+            }
+
+            const url = urlNode.value.value;
+            if (typeof url !== 'string' || /@\{/.test(url)) {
+                return urlNode;
+            }
 
-            if (!importedFile) {
-                return ruleNode;
+            const relativePath = url.replace(/[?#].*$/, '');
+            if (!this.isLocalUrl(relativePath)) {
+                return urlNode;
             }
 
-            this._imports.push({ directory: entryPath ? path.normalize(entryPath) : '', relativePath: importedFile });
+            const fileInfo = urlNode.currentFileInfo;
+            this._urls.push({ directory: this.getDirectory(fileInfo), relativePath: relativePath, importedFrom: fileInfo.filename });
 
-            return ruleNode;
+            return urlNode;
         }
 
         public get imports(): Import[] {
             return this._imports;
         }
+
+        public get urls(): Import[] {
+            return this._urls;
+        }
+
+        public get needsEvaluation(): boolean {
+            return this._needsEvaluation;
+        }
     }
 }
 
@@ -0,0 +1,59 @@
+import * as path from 'path';
+
+module dependencyGraph {
+
+    export interface Dependency {
+        path: string;
+        importedFrom?: string[];
+    }
+
+    export interface DependencyGraph {
+        entries: string[];
+        imports: { [filePath: string]: string[] };
+    }
+
+    export function buildGraph(entries: { [entryPath: string]: Dependency[] }): DependencyGraph {
+        const graph: DependencyGraph = { entries: [], imports: {} };
+
+        function addEdge(from: string, to: string) {
+            const imports = graph.imports[from] = graph.imports[from] || [];
+            if (imports.indexOf(to) < 0) {
+                imports.push(to);
+            }
+        }
+
+        Object.keys(entries).forEach(entryPath => {
+            const resolvedEntryPath = path.resolve(entryPath);
+            graph.entries.push(resolvedEntryPath);
+            graph.imports[resolvedEntryPath] = graph.imports[resolvedEntryPath] || [];
+
+            entries[entryPath].forEach(dependency => {
+                // dependencies without a known importer are attributed to the entry.
+                const importers = dependency.importedFrom && dependency.importedFrom.length > 0 ?
+                    dependency.importedFrom :
+                    [entryPath];
+                importers.forEach(importer => addEdge(path.resolve(importer), path.resolve(dependency.path)));
+            });
+        });
+
+        graph.entries.sort();
+        Object.keys(graph.imports).forEach(filePath => graph.imports[filePath].sort());
+        return graph;
+    }
+
+    function quote(value: string) {
+        return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    export function toDot(graph: DependencyGraph): string {
+        const lines = ['digraph dependencies {'];
+        graph.entries.forEach(entryPath => lines.push(`    ${quote(entryPath)} [shape=box];`));
+        Object.keys(graph.imports).sort().forEach(from => {
+            graph.imports[from].forEach(to => lines.push(`    ${quote(from)} -> ${quote(to)};`));
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
+
+export = dependencyGraph;
@@ -0,0 +1,121 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as bluebird from 'bluebird';
+import * as mkdirp from 'mkdirp';
+import { Dependency, DependencyGraph, buildGraph } from './dependency-graph';
+import { Logger } from './logger';
+
+const fsAsync: any = bluebird.promisifyAll(fs);
+const mkdirpAsync: any = bluebird.promisify(mkdirp);
+
+module dependencyIndex {
+
+    interface IndexState {
+        entries: Promise<{ [entryPath: string]: Dependency[] }>;
+        lastWrite: Promise<void>;
+    }
+
+    let perFileIndexState: { [indexFile: string]: IndexState } = {};
+
+    export class DependencyIndex {
+        private logger: Logger;
+
+        constructor(private indexFile: string, logger?: Logger) {
+            if (!indexFile) {
+                throw new Error('An index file is required.');
+            }
+            this.logger = logger || new Logger();
+        }
+
+        private get state(): IndexState {
+            let state = perFileIndexState[this.indexFile];
+            if (!state) {
+                state = perFileIndexState[this.indexFile] = {
+                    entries: this.loadEntries(),
+                    lastWrite: Promise.resolve()
+                };
+            }
+            return state;
+        }
+
+        private async loadEntries(): Promise<{ [entryPath: string]: Dependency[] }> {
+            try {
+                const data = await fsAsync.readFileAsync(this.indexFile);
+                return JSON.parse(data);
+            }
+            catch (error) {
+                if (error.code !== 'ENOENT') {
+                    this.logger.warn(`Failed to load dependency index from '${this.indexFile}'. ${error}`);
+                }
+                return {};
+            }
+        }
+
+        private async saveEntries(entries: { [entryPath: string]: Dependency[] }): Promise<void> {
+            try {
+                await mkdirpAsync(path.dirname(this.indexFile));
+                await fsAsync.writeFileAsync(this.indexFile, JSON.stringify(entries));
+            }
+            catch (error) {
+                this.logger.warn(`Failed to save dependency index to '${this.indexFile}'. ${error}`);
+            }
+        }
+
+        public async update(entryPath: string, dependencies: Dependency[]): Promise<void> {
+            const entries = await this.state.entries;
+            const resolvedEntryPath = path.resolve(entryPath);
+            const resolvedDependencies = dependencies
+                .map(d => {
+                    const dependency: Dependency = { path: path.resolve(d.path) };
+                    if (d.importedFrom && d.importedFrom.length > 0) {
+                        dependency.importedFrom = d.importedFrom.map(i => path.resolve(i));
+                    }
+                    return dependency;
+                })
+                .sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+            const existingDependencies = entries[resolvedEntryPath];
+            if (existingDependencies && JSON.stringify(existingDependencies) === JSON.stringify(resolvedDependencies)) {
+                return;
+            }
+
+            entries[resolvedEntryPath] = resolvedDependencies;
+
+            const write = this.state.lastWrite.then(() => this.saveEntries(entries));
+            this.state.lastWrite = write;
+            await write;
+        }
+
+        public async getAffectedEntries(changedPaths: string[]): Promise<string[]> {
+            const entries = await this.state.entries;
+            const affectedPaths: { [path: string]: boolean } = {};
+            changedPaths.forEach(p => affectedPaths[path.resolve(p)] = true);
+
+            const affectedEntries: string[] = [];
+            let foundNewEntries = true;
+
+            // entries can themselves be imported by other entries, so keep going until nothing new is found.
+            while (foundNewEntries) {
+                foundNewEntries = false;
+                Object.keys(entries).forEach(entryPath => {
+                    if (affectedEntries.indexOf(entryPath) >= 0) {
+                        return;
+                    }
+                    if (affectedPaths[entryPath] || entries[entryPath].some(d => affectedPaths[d.path])) {
+                        affectedEntries.push(entryPath);
+                        affectedPaths[entryPath] = true;
+                        foundNewEntries = true;
+                    }
+                });
+            }
+
+            return affectedEntries.sort();
+        }
+
+        public async getGraph(): Promise<DependencyGraph> {
+            return buildGraph(await this.state.entries);
+        }
+    }
+}
+
+export = dependencyIndex;
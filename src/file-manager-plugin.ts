@@ -0,0 +1,46 @@
+import { PathResolver, Aliases, isModulePath, parseModulePath, getAliasedPath } from './path-resolver';
+
+module fileManagerPlugin {
+    // lets LESS load the files that PathResolver knows how to find but LESS itself doesn't, i.e. '~' paths into node_modules
+    // and aliased paths.
+    export class FileManagerPlugin {
+        constructor(private pathResolver: PathResolver, private aliases?: Aliases) {
+        }
+
+        public install(lessLocal: any, pluginManager: any): void {
+            pluginManager.addFileManager(this.createFileManager(lessLocal.FileManager));
+        }
+
+        private createFileManager(FileManager: any): any {
+            const pathResolver = this.pathResolver;
+            const aliases = this.aliases;
+
+            class ModuleFileManager extends FileManager {
+                public supports(filename: string) {
+                    return isModulePath(filename) || getAliasedPath(aliases, filename) !== null;
+                }
+
+                public supportsSync() {
+                    return false;
+                }
+
+                public tryAppendExtension(filename: string, extension: string) {
+                    // a bare package name refers to the package's entry point, which is found from its package.json,
+                    // and an alias on its own refers to whatever it is mapped to.
+                    const isPackageName = isModulePath(filename) && !parseModulePath(filename).subPath;
+                    const isAlias = !!aliases && aliases.hasOwnProperty(filename);
+                    return isPackageName || isAlias ? filename : super.tryAppendExtension(filename, extension);
+                }
+
+                public loadFile(filename: string, currentDirectory: string, options: any, environment: any) {
+                    return pathResolver.resolve(currentDirectory, filename, null)
+                        .then(resolvedPath => super.loadFile(resolvedPath, '', options, environment));
+                }
+            }
+
+            return new ModuleFileManager();
+        }
+    }
+}
+
+export = fileManagerPlugin;
@@ -7,6 +7,8 @@ import * as path from 'path';
 import * as os from 'os';
 import * as crypto from 'crypto';
 import * as mkdirp from 'mkdirp';
+import { DependencyIndex } from './dependency-index';
+import { Logger } from './logger';
 
 const fsAsync: any = bluebird.promisifyAll(fs);
 const mkdirpAsync: any = bluebird.promisify(mkdirp);
@@ -16,15 +18,44 @@ module listImports {
     export interface FileInfo {
         path: string;
         time: number;
+        importedFrom?: string[];
+        missing?: boolean;
     }
 
-    let perBufferImportCache: { [bufferKey: string]: { [path: string]: FileInfo[] } } = {};
+    export interface ImportListing {
+        imports: FileInfo[];
+        // dependencies that have been added or removed since the imports were last listed.
+        changedImports: string[];
+    }
+
+    // the entry is kept with its imports, as adding or removing an @import only changes the entry itself.
+    interface CachedImports {
+        entry: FileInfo;
+        imports: FileInfo[];
+    }
+
+    function getChangedImports(previousImports: FileInfo[], imports: FileInfo[]): string[] {
+        const previousPaths = previousImports.filter(i => !i.missing).map(i => i.path);
+        const paths = imports.filter(i => !i.missing).map(i => i.path);
+        return [
+            ...previousPaths.filter(p => paths.indexOf(p) < 0),
+            ...paths.filter(p => previousPaths.indexOf(p) < 0)
+        ].sort();
+    }
+
+    let perBufferImportCache: { [bufferKey: string]: { [path: string]: CachedImports } } = {};
 
     export class ImportBuffer {
         private importLister: (file: File) => Promise<FileInfo[]>;
-        private importCache: { [path: string]: FileInfo[] };
-
-        constructor(importLister: (file: File) => Promise<FileInfo[]>, private bufferKey: string) {
+        private importCache: { [path: string]: CachedImports };
+        private logger: Logger;
+
+        constructor(
+            importLister: (file: File) => Promise<FileInfo[]>,
+            private bufferKey: string,
+            private dependencyIndex?: DependencyIndex,
+            logger?: Logger,
+            private readOnly?: boolean) {
             if (!importLister || !(importLister instanceof Function)) {
                 throw new Error('Invalid importer.');
             }
@@ -33,6 +64,7 @@ module listImports {
             }
 
             this.importLister = importLister;
+            this.logger = logger || new Logger();
             this.importCache = perBufferImportCache[bufferKey];
             if (!this.importCache) {
                 this.importCache = perBufferImportCache[bufferKey] = {};
@@ -42,75 +74,126 @@ module listImports {
         private async modifiedTimeIsTheSame(info: FileInfo): Promise<boolean> {
             try {
                 const stat = await fsAsync.statAsync(info.path);
-                return (stat.mtime.getTime() === info.time);
+                if (stat.mtime.getTime() !== info.time) {
+                    this.logger.debug(`'${info.path}' has been modified since its imports were cached (${info.time} -> ${stat.mtime.getTime()}).`);
+                    return false;
+                }
+                return true;
             }
             catch (error) {
+                if (info.missing && error.code === 'ENOENT') {
+                    return true;
+                }
+                this.logger.debug(`'${info.path}' can no longer be found. ${error}`);
                 return false;
             }
         }
 
+        private async getEntryInfo(file: File): Promise<FileInfo> {
+            try {
+                const stat = await fsAsync.statAsync(file.path);
+                return { path: file.path, time: stat.mtime.getTime() };
+            }
+            catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                return { path: file.path, time: null, missing: true };
+            }
+        }
+
         private getCacheFile(filePath: string) {
             const filePathKey = `${crypto.createHash('md5').update(filePath).digest('hex')}_${path.basename(filePath)}`;
             const outputPath = path.join(os.tmpdir(), this.bufferKey);
             return path.join(outputPath, filePathKey);
         }
 
-        private async loadPreviousResults(filePath: string): Promise<FileInfo[]> {
-            let existingImports = this.importCache[filePath];
-            if (existingImports) {
-                return existingImports;
+        private async loadPreviousResults(filePath: string): Promise<CachedImports> {
+            let existingResults = this.importCache[filePath];
+            if (existingResults) {
+                return existingResults;
             }
 
             const cacheFile = this.getCacheFile(filePath);
             try {
-                const data = await fsAsync.readFileAsync(cacheFile);
-                return JSON.parse(data);
+                const data = JSON.parse(await fsAsync.readFileAsync(cacheFile));
+                // caches written before the entry was kept are a plain list, which is re-listed as the entry's time is unknown.
+                return Array.isArray(data) ? { entry: null, imports: data } : data;
             }
             catch (error) {
                 if (error.code !== 'ENOENT') {
-                    console.error(`Failed to load cached results from '${cacheFile}'. ${error}`);
+                    this.logger.warn(`Failed to load cached results from '${cacheFile}'. ${error}`);
                 }
                 return null;
             }
         }
 
-        private async cacheResults(filePath: string, imports: FileInfo[]): Promise<FileInfo[]> {
-            this.importCache[filePath] = imports;
+        private async updateDependencyIndex(filePath: string, imports: FileInfo[]): Promise<void> {
+            if (this.dependencyIndex) {
+                await this.dependencyIndex.update(filePath, imports);
+            }
+        }
+
+        private async cacheResults(entry: FileInfo, imports: FileInfo[]): Promise<FileInfo[]> {
+            const filePath = entry.path;
+            await this.updateDependencyIndex(filePath, imports);
+
+            // the cached imports are what added or removed dependencies are detected against, so a read-only buffer keeps them as they were.
+            if (this.readOnly) {
+                return imports;
+            }
+            const results = { entry, imports };
+            this.importCache[filePath] = results;
 
             const cacheFile = this.getCacheFile(filePath);
             const outputPath = path.dirname(cacheFile);
 
             try {
                 await mkdirpAsync(outputPath);
-                await fsAsync.writeFileAsync(cacheFile, JSON.stringify(imports));
+                await fsAsync.writeFileAsync(cacheFile, JSON.stringify(results));
             }
             catch (error) {
-                console.error(`Failed to cache results to '${cacheFile}'. ${error}`);
+                this.logger.warn(`Failed to cache results to '${cacheFile}'. ${error}`);
             }
             return imports;
         }
 
         public async listImports(file: File): Promise<FileInfo[]> {
+            const listing = await this.listImportChanges(file);
+            return listing.imports;
+        }
+
+        public async listImportChanges(file: File): Promise<ImportListing> {
+            // failures are left for the caller to handle, as the file's dependencies are unknown rather than empty.
             const useImportLister: () => Promise<FileInfo[]> = async () => {
-                try {
-                    const results = await this.importLister(file);
-                    return await this.cacheResults(file.path, results);
-                }
-                catch (error) {
-                    console.error(`An unknown error occurred: ${error}`);
-                    return [];
-                }
+                // the entry is stat'd before it is analysed, so an edit made during the analysis is picked up next time.
+                const entry = await this.getEntryInfo(file);
+                const results = await this.importLister(file);
+                return await this.cacheResults(entry, results);
             }
 
-            const existingImports = await this.loadPreviousResults(file.path);
-            if (!existingImports) {
-                return await useImportLister();
+            const existingResults = await this.loadPreviousResults(file.path);
+            if (!existingResults) {
+                this.logger.debug(`Analysing imports for '${file.path}': no cached imports.`);
+                return { imports: await useImportLister(), changedImports: [] };
             }
-            const results = await Promise.all(existingImports.map(this.modifiedTimeIsTheSame));
+            const existingImports = existingResults.imports;
+            const results = await Promise.all([
+                existingResults.entry ? this.modifiedTimeIsTheSame(existingResults.entry) : Promise.resolve(false),
+                ...existingImports.map(i => this.modifiedTimeIsTheSame(i))
+            ]);
             if (results.every(r => r)) {
-                return existingImports;
+                this.logger.debug(`Using cached imports for '${file.path}'.`);
+                await this.updateDependencyIndex(file.path, existingImports);
+                return { imports: existingImports, changedImports: [] };
+            }
+            this.logger.debug(`Analysing imports for '${file.path}': cached imports are out of date.`);
+            const imports = await useImportLister();
+            const changedImports = getChangedImports(existingImports, imports);
+            if (changedImports.length > 0) {
+                this.logger.debug(`Dependencies of '${file.path}' have been added or removed: ${changedImports.join(', ')}.`);
             }
-            return await useImportLister();
+            return { imports, changedImports };
         }
     }
 }
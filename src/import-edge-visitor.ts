@@ -0,0 +1,37 @@
+import * as less from 'less';
+
+module importEdgeVisitor {
+    export interface ImportEdge {
+        from: string;
+        to: string;
+    }
+
+    export class ImportEdgeVisitor {
+        public isReplacing = false;
+        public isPreEvalVisitor = true;
+        private _visitor: Less.Visitor;
+        private _edges: ImportEdge[] = [];
+
+        constructor(less: Less.LessStaticExtensions) {
+            this._visitor = new less.visitors.Visitor(this);
+        }
+
+        run(root: Less.Node) {
+            return this._visitor.visit(root);
+        }
+
+        public visitImport(importNode: Less.ImportNode, visitArgs: any) {
+            if (importNode.importedFilename && importNode.currentFileInfo) {
+                this._edges.push({ from: importNode.currentFileInfo.filename, to: importNode.importedFilename });
+            }
+
+            return importNode;
+        }
+
+        public get edges(): ImportEdge[] {
+            return this._edges;
+        }
+    }
+}
+
+export = importEdgeVisitor;
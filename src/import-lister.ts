@@ -4,9 +4,14 @@ import * as less from 'less';
 import * as path from 'path';
 import streamToArray = require('stream-to-array');
 import * as bluebird from 'bluebird';
+import minimatch = require('minimatch');
 import { FileInfo } from './import-buffer';
-import { PathResolver } from './path-resolver';
+import { PathResolver, PathResolverError, Aliases } from './path-resolver';
 import { DataUriVisitorPlugin } from './data-uri-visitor-plugin';
+import { FileManagerPlugin } from './file-manager-plugin';
+import { Import, FileFunctions } from './data-uri-visitor';
+import { ImportEdge } from './import-edge-visitor';
+import { Logger } from './logger';
 
 const fsAsync: any = bluebird.promisifyAll(fs);
 
@@ -14,17 +19,48 @@ const assign = require('object-assign');
 
 module importLister {
 
+    export type Analyzer = 'render' | 'parse';
+
     export interface Options {
         paths?: string[];
+        analyzer?: Analyzer;
+        trackUrls?: boolean | string | string[];
+        fileFunctions?: FileFunctions;
+        aliases?: Aliases;
+    }
+
+    // options used to find dependencies, which aren't passed on to less.
+    const LISTER_OPTIONS = ['trackUrls', 'fileFunctions'];
+
+    interface ImportReference {
+        path: string;
+        importedFrom?: string;
+    }
+
+    interface Analysis {
+        imports: string[];
+        plugin: DataUriVisitorPlugin;
+        options: Less.Options2;
     }
 
     export class ImportLister {
         pathResolver: PathResolver;
         lessOptions: Less.Options2;
-
-        constructor(lessOptions?: Options) {
-            this.lessOptions = lessOptions;
-            this.pathResolver = new PathResolver();
+        trackUrls: boolean | string | string[];
+        fileFunctions: FileFunctions;
+        aliases: Aliases;
+        analyzer: Analyzer;
+        logger: Logger;
+
+        constructor(lessOptions?: Options, logger?: Logger) {
+            this.lessOptions = assign({}, lessOptions);
+            LISTER_OPTIONS.forEach(key => delete (<any>this.lessOptions)[key]);
+            this.trackUrls = lessOptions && lessOptions.trackUrls;
+            this.fileFunctions = lessOptions && lessOptions.fileFunctions;
+            this.analyzer = (lessOptions && lessOptions.analyzer) || 'render';
+            this.aliases = lessOptions && lessOptions.aliases;
+            this.pathResolver = new PathResolver(this.aliases);
+            this.logger = logger || new Logger();
         }
 
         private async getLessData(file: File) {
@@ -43,29 +79,132 @@ module importLister {
             return Buffer.concat(buffers).toString();
         }
 
-        private async listImportsInternal(file: File): Promise<string[]> {
+        private async listImportsInternal(file: File): Promise<ImportReference[]> {
             if (file == null || file.isNull()) {
-                console.error('Trying to process imports for null file.')
+                this.logger.warn('Trying to process imports for null file.');
                 return [];
             }
 
-            const dataUriVisitorPlugin = new DataUriVisitorPlugin();
-            const options: Less.Options2 = assign({ filename: file.path }, this.lessOptions);
-
-            options.plugins = options.plugins ? [dataUriVisitorPlugin, ...options.plugins] : [dataUriVisitorPlugin];
-
             try {
                 const lessData = await this.getLessData(file);
-                const renderResult = await (less as Less.RelaxedLessStatic).render(lessData, options);
+                const analysis = (this.analyzer === 'parse' && await this.parse(file, lessData)) || await this.render(file, lessData);
+                const { plugin: dataUriVisitorPlugin, options } = analysis;
                 const dataUriImports = await Promise.all(dataUriVisitorPlugin.imports
-                    .map(i => this.pathResolver.resolve(i.directory, i.relativePath, options.paths)));
-                return [...renderResult.imports, ...dataUriImports];
+                    .map(async i => {
+                        const resolvedPath = await this.resolveFile(i, options.paths);
+                        return { path: resolvedPath, importedFrom: i.importedFrom };
+                    }));
+                const pluginImports = await Promise.all(dataUriVisitorPlugin.pluginImports
+                    .map(async i => {
+                        const resolvedPath = await this.pathResolver.resolvePlugin(i.directory, i.relativePath, options.paths);
+                        return { path: resolvedPath, importedFrom: i.importedFrom };
+                    }));
+                const urlImports = await this.resolveUrls(dataUriVisitorPlugin.urls, options.paths);
+                return [
+                    ...this.getImportReferences(analysis.imports, dataUriVisitorPlugin.importEdges),
+                    ...dataUriImports,
+                    ...pluginImports,
+                    ...urlImports
+                ];
             }
+            // logging is left to the caller, which knows whether the failure matters, e.g. a file being edited while watched.
             catch (reason) {
-                const error = `Failed to process imports for '${file.path}': ${reason}`;
-                console.error(error);
-                throw new Error(error);
+                throw new Error(`Failed to process imports for '${file.path}': ${reason}`);
+            }
+        }
+
+        private getOptions(file: File, plugin: DataUriVisitorPlugin): Less.Options2 {
+            const options: Less.Options2 = assign({ filename: file.path }, this.lessOptions);
+            const plugins = [plugin, new FileManagerPlugin(this.pathResolver, this.aliases)];
+            options.plugins = options.plugins ? [...plugins, ...options.plugins] : plugins;
+            return options;
+        }
+
+        private async render(file: File, lessData: string): Promise<Analysis> {
+            const plugin = new DataUriVisitorPlugin(this.fileFunctions);
+            const options = this.getOptions(file, plugin);
+            const renderResult = await (less as Less.RelaxedLessStatic).render(lessData, options);
+            return { imports: renderResult.imports, plugin, options };
+        }
+
+        private async parse(file: File, lessData: string): Promise<Analysis> {
+            const plugin = new DataUriVisitorPlugin(this.fileFunctions);
+            const options = this.getOptions(file, plugin);
+            const { root, importManager } = await new Promise<{ root: Less.Node, importManager: Less.ImportManager }>((resolve, reject) => {
+                (<Less.ParsingLessStatic><any>less).parse(lessData, options, (error, root, importManager) =>
+                    error ? reject(error) : resolve({ root, importManager }));
+            });
+
+            plugin.visit(root);
+            if (plugin.needsEvaluation) {
+                this.logger.debug(`Rendering '${file.path}' to analyse its imports: some paths depend on variables.`);
+                return null;
+            }
+
+            const imports = Object.keys(importManager.files).filter(f => f !== importManager.rootFilename);
+            return { imports, plugin, options };
+        }
+
+        private async resolveFile(fileImport: Import, searchPaths: string[]): Promise<string> {
+            try {
+                return await this.pathResolver.resolve(fileImport.directory, fileImport.relativePath, searchPaths);
+            }
+            catch (error) {
+                if (!(error instanceof PathResolverError)) {
+                    throw error;
+                }
+                // LESS carries on without the file, so it is reported as missing where LESS would look for it first.
+                return path.join(fileImport.directory, fileImport.relativePath);
+            }
+        }
+
+        private isTrackedUrl(url: string): boolean {
+            if (!this.trackUrls) {
+                return false;
+            }
+            if (this.trackUrls === true) {
+                return true;
             }
+
+            // patterns starting with '!' exclude urls, as with the globs passed to lessChanged.watch.
+            const patterns = typeof this.trackUrls === 'string' ? [this.trackUrls] : this.trackUrls;
+            const includes = patterns.filter(p => p[0] !== '!');
+            const excludes = patterns.filter(p => p[0] === '!').map(p => p.slice(1));
+            const matches = (pattern: string) => minimatch(url, pattern, { matchBase: true, dot: true });
+            return (includes.length === 0 || includes.some(matches)) && !excludes.some(matches);
+        }
+
+        private async resolveUrls(urls: Import[], searchPaths: string[]): Promise<ImportReference[]> {
+            const references = await Promise.all(urls
+                .filter(u => this.isTrackedUrl(u.relativePath))
+                .map(async u => {
+                    try {
+                        const resolvedPath = await this.pathResolver.resolve(u.directory, u.relativePath, searchPaths);
+                        return { path: resolvedPath, importedFrom: u.importedFrom };
+                    }
+                    catch (error) {
+                        if (!(error instanceof PathResolverError)) {
+                            throw error;
+                        }
+                        // urls often point at where assets are deployed rather than at source files, so these aren't errors.
+                        this.logger.debug(`Not tracking url '${u.relativePath}' in '${u.importedFrom}': ${error.message}`);
+                        return null;
+                    }
+                }));
+            return references.filter(r => !!r);
+        }
+
+        private getImportReferences(imports: string[], importEdges: ImportEdge[]): ImportReference[] {
+            const references: ImportReference[] = [];
+            imports.forEach(importPath => {
+                const edges = importEdges.filter(e => e.to === importPath);
+                if (edges.length === 0) {
+                    references.push({ path: importPath });
+                } else {
+                    references.push(...edges.map(e => { return { path: importPath, importedFrom: e.from } }));
+                }
+            });
+            return references;
         }
 
         private async getFileStatsIfExists(file: string) {
@@ -75,26 +214,38 @@ module importLister {
             }
             catch (error) {
                 if (error.code === 'ENOENT') {
-                    console.error(`Import '${file}' not found.`);
+                    this.logger.warn(`Import '${file}' not found.`);
                     return null;
                 }
                 throw error;
             }
         }
 
-        private async getExistingFiles(files: string[]) {
-            const results = await Promise.all(files.map(this.getFileStatsIfExists));
-            return results.filter(info => !!info && !!info.stat);
-        }
 
         public async listImports(file: File): Promise<FileInfo[]> {
             if (!file) {
                 return [];
             }
 
-            const files = await this.getExistingFiles(await this.listImportsInternal(file));
+            const importers: { [path: string]: string[] } = {};
+            const references = await this.listImportsInternal(file);
+            references.forEach(r => {
+                const fileImporters = importers[r.path] = importers[r.path] || [];
+                if (r.importedFrom && fileImporters.indexOf(r.importedFrom) < 0) {
+                    fileImporters.push(r.importedFrom);
+                }
+            });
 
-            return files.map(i => { return { path: i.path, time: i.stat.mtime.getTime() } });
+            // missing files are still reported so that callers can decide what to do about them.
+            const importPaths = Object.keys(importers);
+            const files = await Promise.all(importPaths.map(p => this.getFileStatsIfExists(p)));
+
+            return files.map((info, i) => {
+                if (!info) {
+                    return { path: importPaths[i], time: null, importedFrom: importers[importPaths[i]], missing: true };
+                }
+                return { path: info.path, time: info.stat.mtime.getTime(), importedFrom: importers[info.path] };
+            });
         }
     }
 }
@@ -0,0 +1,58 @@
+import * as gutil from 'gulp-util';
+
+const LOG_PREFIX = 'gulp-less-changed:';
+
+module logger {
+
+    export type LogLevel = 'silent' | 'error' | 'warn' | 'info' | 'debug';
+
+    export type LogFunction = (message: string, level: LogLevel) => void;
+
+    // ordered from least to most verbose.
+    const LOG_LEVELS: LogLevel[] = ['silent', 'error', 'warn', 'info', 'debug'];
+
+    export function isLogLevel(level: string): boolean {
+        return LOG_LEVELS.indexOf(<LogLevel>level) >= 0;
+    }
+
+    function logWithGulp(message: string, level: LogLevel) {
+        gutil.log(`${LOG_PREFIX} ${message}`);
+    }
+
+    export class Logger {
+        private log: LogFunction;
+
+        constructor(private level?: LogLevel, log?: LogFunction) {
+            this.level = level || 'info';
+            this.log = log || logWithGulp;
+        }
+
+        public isEnabled(level: LogLevel): boolean {
+            return level !== 'silent' && LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+        }
+
+        public error(message: string) {
+            this.write('error', message);
+        }
+
+        public warn(message: string) {
+            this.write('warn', message);
+        }
+
+        public info(message: string) {
+            this.write('info', message);
+        }
+
+        public debug(message: string) {
+            this.write('debug', message);
+        }
+
+        private write(level: LogLevel, message: string) {
+            if (this.isEnabled(level)) {
+                this.log(message, level);
+            }
+        }
+    }
+}
+
+export = logger;
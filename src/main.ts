@@ -5,114 +5,924 @@ import * as through from 'through2';
 import * as fs from 'fs';
 import * as gutil from 'gulp-util';
 import { ImportLister } from './import-lister';
-import { ImportBuffer, FileInfo } from './import-buffer';
+import { ImportBuffer, FileInfo, ImportListing } from './import-buffer';
+import { SnapshotStore, Snapshot } from './snapshot-store';
+import { DependencyIndex } from './dependency-index';
+import { DependencyGraph, buildGraph, toDot } from './dependency-graph';
+import { CheckQueue } from './check-queue';
+import { Logger, LogLevel, LogFunction, isLogLevel } from './logger';
+import { Watcher, WatchTask } from './watcher';
 import File = require('vinyl');
 import * as crypto from 'crypto';
 import { start } from 'repl';
 import { Transform } from 'stream';
+import * as os from 'os';
+import * as path from 'path';
+import * as mkdirp from 'mkdirp';
+import * as less from 'less';
 
 const fsAsync: any = bluebird.promisifyAll(fs);
+const mkdirpAsync: any = bluebird.promisify(mkdirp);
+
+const assign = require('object-assign');
 
 const MODULE_NAME = 'gulp-less-changed';
+const FINGERPRINT_KEY = '<fingerprint>';
+const PENDING_FINGERPRINT_KEY = '<pending-fingerprint>';
+const OUTPUT_TIMES_KEY = '<outputs>';
+const PENDING_DEPENDENCIES_KEY = '<pending-dependencies>';
 
 module gulpLessChanged {
 
     export interface PluginOptions {
         paths?: string[];
         getOutputFileName?: (input: string) => string;
+        getOutputFileNames?: (input: string) => string[];
+        compare?: 'mtime' | 'hash';
+        manifest?: string;
+        graphFile?: string;
+        graphFormat?: 'json' | 'dot';
+        dryRun?: boolean;
+        summary?: boolean;
+        summaryFile?: string;
+        concurrency?: number;
+        ordered?: boolean;
+        missingDependency?: 'ignore' | 'rebuild' | 'error';
+        logLevel?: LogLevel;
+        logger?: LogFunction;
+        since?: Date | number | (() => Date | number);
+        referenceFile?: string;
+        excludePartials?: boolean;
+        watchDelay?: number;
+        trackUrls?: boolean | string | string[];
+        fileFunctions?: { [name: string]: number };
+        analyzer?: 'render' | 'parse';
+        aliases?: { [prefix: string]: string };
     }
 
-    interface IntermediateResult {
-        outputAge: Date,
-        changed: boolean
+    // options that only affect this plugin and not how less finds dependencies.
+    const PLUGIN_OPTIONS = [
+        'getOutputFileName', 'getOutputFileNames', 'compare', 'manifest', 'graphFile', 'graphFormat', 'dryRun', 'summary', 'summaryFile',
+        'concurrency', 'ordered', 'missingDependency', 'logLevel', 'logger', 'since', 'referenceFile',
+        'excludePartials', 'watchDelay', 'analyzer'
+    ];
+
+    // options that change which dependencies are found, but not the CSS that less produces.
+    const DEPENDENCY_OPTIONS = ['trackUrls', 'fileFunctions'];
+
+    interface CheckedFile {
+        file: File;
+        changed: boolean;
     }
 
-    class ImportChecker {
-        private getOutputFileName: (input: string) => string;
-        constructor(private options: PluginOptions, private importBuffer: ImportBuffer) {
-            this.getOutputFileName = options.getOutputFileName || (input => gutil.replaceExtension(input, '.css'));
+    interface PendingSnapshot {
+        manifest: string;
+        manifestKey: string;
+        snapshot: Snapshot;
+        logger: Logger;
+    }
+
+    // snapshots of the files passed through when using a manifest, keyed by entry path, until record() sees them built.
+    const pendingManifestSnapshots: { [entryPath: string]: PendingSnapshot } = {};
+
+    export type ChangeReason =
+        'output-missing' | 'file-changed' | 'dependencies-changed' | 'dependency-missing' | 'options-changed' | 'not-built' |
+        'analysis-failed';
+
+    export interface ChangeInfo {
+        reason: ChangeReason;
+        changedDependencies: string[];
+        dependencies?: string[];
+    }
+
+    export interface CheckResult {
+        path: string;
+        changed: boolean;
+        reason: ChangeReason;
+        changedDependencies: string[];
+        dependencies?: string[];
+    }
+
+    export interface FileSummary {
+        path: string;
+        reason: ChangeReason;
+        changedDependencies: string[];
+    }
+
+    export interface Summary {
+        dryRun: boolean;
+        checked: number;
+        changed: number;
+        unchanged: number;
+        partials: number;
+        errors: number;
+        analysisTime: number;
+        duration: number;
+        files: FileSummary[];
+    }
+
+    function getChangeInfo(reason: ChangeReason, imports: FileInfo[], changedDependencies?: string[]): ChangeInfo {
+        const changeInfo: ChangeInfo = {
+            reason,
+            changedDependencies: changedDependencies || []
+        };
+
+        // left out when the dependencies couldn't be worked out, rather than claiming that there are none.
+        if (imports) {
+            changeInfo.dependencies = imports.map(i => i.path);
         }
+        return changeInfo;
+    }
+
+    class ImportChecker {
+        public dependencies: { [entryPath: string]: FileInfo[] } = {};
+        public recordDependencies: boolean;
+        public summary: Summary;
+        private getOutputFileNames: (input: string) => string[];
+        private sinceTime: Date;
+        private checkedFiles: CheckedFile[] = [];
+        constructor(
+            private options: PluginOptions,
+            private importBuffer: ImportBuffer,
+            private logger: Logger,
+            private fingerprint: string,
+            private fingerprintStore: SnapshotStore,
+            private snapshotStore?: SnapshotStore,
+            private pendingSnapshotStore?: SnapshotStore) {
+            if (options.getOutputFileNames) {
+                this.getOutputFileNames = options.getOutputFileNames;
+            } else {
+                const getOutputFileName = options.getOutputFileName || (input => gutil.replaceExtension(input, '.css'));
+                this.getOutputFileNames = input => [getOutputFileName(input)];
+            }
 
-        private async checkImportsHaveChanged(file: File, mainFileDate: Date) {
+            this.recordDependencies = !!(options.graphFile || options.excludePartials);
 
-            function importHasChanged(importFile: FileInfo): boolean {
-                return importFile.time > mainFileDate.getTime();
+            // evaluated once so that every file is compared against the same time, e.g. gulp.lastRun() for the current task.
+            if (options.since !== undefined) {
+                const since = typeof options.since === 'function' ? options.since() : options.since;
+                this.sinceTime = since === undefined || since === null ? undefined : new Date(<any>since);
             }
 
+            this.summary = {
+                dryRun: !!options.dryRun,
+                checked: 0,
+                changed: 0,
+                unchanged: 0,
+                partials: 0,
+                errors: 0,
+                analysisTime: 0,
+                duration: 0,
+                files: []
+            };
+        }
+
+        private async listImports(file: File): Promise<FileInfo[]> {
+            const listing = await this.listImportChanges(file);
+            return listing ? listing.imports : null;
+        }
+
+        private async listImportChanges(file: File): Promise<ImportListing> {
+            const startTime = Date.now();
             try {
-                const imports = await this.importBuffer.listImports(file);
-                return imports.some(importHasChanged);
+                const listing = await this.importBuffer.listImportChanges(file);
+                const imports = this.options.missingDependency && this.options.missingDependency !== 'ignore' ?
+                    listing.imports : listing.imports.filter(i => !i.missing);
+                if (this.recordDependencies) {
+                    this.dependencies[file.path] = imports;
+                }
+                return { imports, changedImports: listing.changedImports };
             } catch (error) {
-                console.error(error);
-                return true;
+                // e.g. a missing @import stops less from listing any dependencies, so none of them can be ruled out as missing.
+                if (this.options.missingDependency === 'error') {
+                    throw error;
+                }
+                this.logger.error(`Failed to list imports for '${file.path}': ${error}`);
+                return null;
+            } finally {
+                this.summary.analysisTime += Date.now() - startTime;
+            }
+        }
+
+        private getImportChain(inputFile: File, imports: FileInfo[], importPath: string): string[] {
+            const chain = [importPath];
+            let current = imports.find(i => i.path === importPath);
+            while (current && current.importedFrom && current.importedFrom.length > 0) {
+                const importer = current.importedFrom[0];
+                if (importer === inputFile.path || chain.indexOf(importer) >= 0) {
+                    break;
+                }
+                chain.unshift(importer);
+                current = imports.find(i => i.path === importer);
             }
+            return [inputFile.path, ...chain];
         }
 
-        private async hasFileChanged(inputFile: File, outputFilePath: string) {
+        private checkMissingDependencies(inputFile: File, imports: FileInfo[]): string[] {
+            const missingDependencies = imports.filter(i => i.missing).map(i => i.path);
+            if (missingDependencies.length > 0 && this.options.missingDependency === 'error') {
+                const chains = missingDependencies.map(p => this.getImportChain(inputFile, imports, p).map(c => `'${c}'`).join(' -> '));
+                throw new Error(`Missing dependencies of '${inputFile.path}': ${chains.join(', ')}`);
+            }
+            return missingDependencies;
+        }
+
+        private async getOutputModifiedTime(outputFilePath: string): Promise<Date> {
             try {
                 const stats = await fsAsync.statAsync(outputFilePath);
-                return { modifiedTime: stats.mtime, hasFileChanged: stats.mtime < inputFile.stat.mtime };
+                return stats.mtime;
             } catch (error) {
                 if (error.code === 'ENOENT') {
-                    return { modifiedTime: undefined, hasFileChanged: true };
+                    return undefined;
                 } else {
                     throw error;
                 }
             }
         }
 
-        private async hasFileOrDependenciesChanged(
-            inputFile: File,
-            outputFilePath: string) {
+        private getOutputFilePaths(inputFile: File): string[] {
+            if (this.options.since !== undefined) {
+                return [];
+            }
+            return this.options.referenceFile ? [this.options.referenceFile] : this.getOutputFileNames(inputFile.path);
+        }
+
+        private getMissingOutputReason(): ChangeReason {
+            return this.options.since !== undefined ? 'not-built' : 'output-missing';
+        }
 
-            const { modifiedTime, hasFileChanged } = await this.hasFileChanged(inputFile, outputFilePath);
-            if (hasFileChanged) {
-                return true;
+        private async hasFileChanged(inputFile: File, outputFilePaths: string[]) {
+            const modifiedTimes = this.options.since !== undefined ?
+                [this.sinceTime] :
+                await Promise.all(outputFilePaths.map(p => this.getOutputModifiedTime(p)));
+            if (modifiedTimes.length === 0 || modifiedTimes.some(t => !t)) {
+                return { modifiedTime: undefined as Date, hasFileChanged: true };
             }
 
-            return await this.checkImportsHaveChanged(inputFile, modifiedTime);
+            // dependencies are compared against the oldest output.
+            const oldestTime = modifiedTimes.reduce((oldest, t) => t < oldest ? t : oldest);
+            this.logger.debug(`Comparing '${inputFile.path}' (${inputFile.stat.mtime.getTime()}) with its output (${oldestTime.getTime()}).`);
+            return { modifiedTime: oldestTime, hasFileChanged: oldestTime < inputFile.stat.mtime };
         }
 
-        public async checkFileForChanges(
-            transform: Transform,
-            file: File, enc: string, callback: (error: any, data: any) => any) {
+        private async getFileHash(filePath: string): Promise<string> {
+            const data = await fsAsync.readFileAsync(filePath);
+            return crypto.createHash('md5').update(data).digest('hex');
+        }
+
+        private async takeSnapshot(inputFile: File, imports: FileInfo[]): Promise<Snapshot> {
+            const snapshot: Snapshot = {};
+
+            if (this.options.compare === 'hash') {
+                const filePaths = [inputFile.path, ...imports.map(i => i.path)];
+                const hashes = await Promise.all(filePaths.map(p => this.getFileHash(p)));
+                filePaths.forEach((p, i) => snapshot[p] = hashes[i]);
+            } else {
+                snapshot[inputFile.path] = String(inputFile.stat.mtime.getTime());
+                imports.forEach(i => snapshot[i.path] = String(i.time));
+            }
+
+            snapshot[FINGERPRINT_KEY] = this.fingerprint;
+            return snapshot;
+        }
+
+        private getSnapshotChanges(inputFile: File, imports: FileInfo[], previousSnapshot: Snapshot, currentSnapshot: Snapshot): ChangeInfo {
+            if (!previousSnapshot) {
+                return getChangeInfo('not-built', imports);
+            }
+
+            const changedPaths = [...Object.keys(currentSnapshot), ...Object.keys(previousSnapshot)]
+                .filter((p, i, paths) => paths.indexOf(p) === i && previousSnapshot[p] !== currentSnapshot[p]);
+            const entryPath = path.resolve(inputFile.path);
+            const changedDependencies = changedPaths.filter(p => p !== FINGERPRINT_KEY && path.resolve(p) !== entryPath);
+            if (changedPaths.length > 0) {
+                this.logger.debug(`Snapshot of '${inputFile.path}' has changed for: ${changedPaths.join(', ')}.`);
+            }
+
+            if (changedPaths.some(p => p !== FINGERPRINT_KEY && path.resolve(p) === entryPath)) {
+                return getChangeInfo('file-changed', imports, changedDependencies);
+            }
+            if (changedDependencies.length > 0) {
+                return getChangeInfo('dependencies-changed', imports, changedDependencies);
+            }
+            return changedPaths.indexOf(FINGERPRINT_KEY) >= 0 ? getChangeInfo('options-changed', imports) : null;
+        }
+
+        private async getOutputTimes(outputFilePaths: string[]): Promise<number[]> {
+            const modifiedTimes = await Promise.all(outputFilePaths.map(p => this.getOutputModifiedTime(p)));
+            return modifiedTimes.map(t => t ? t.getTime() : null);
+        }
+
+        private async setPendingSnapshot(inputFile: File, snapshot: Snapshot, outputFilePaths: string[]): Promise<void> {
+            const pendingSnapshot: Snapshot = assign({}, snapshot);
+            pendingSnapshot[OUTPUT_TIMES_KEY] = JSON.stringify(await this.getOutputTimes(outputFilePaths));
+            await this.pendingSnapshotStore.set(inputFile.path, pendingSnapshot);
+        }
+
+        // a snapshot taken when the file was passed through only counts as built once all of its outputs have been written since.
+        private async getBuiltSnapshot(inputFile: File, outputFilePaths: string[]): Promise<Snapshot> {
+            const pendingSnapshot = await this.pendingSnapshotStore.get(inputFile.path);
+            if (!pendingSnapshot) {
+                return await this.snapshotStore.get(inputFile.path);
+            }
+
+            const previousOutputTimes: number[] = JSON.parse(pendingSnapshot[OUTPUT_TIMES_KEY]);
+            const outputTimes = await this.getOutputTimes(outputFilePaths);
+            if (outputTimes.some((t, i) => t === null || t === previousOutputTimes[i])) {
+                this.logger.debug(`'${inputFile.path}' hasn't been built since it was last passed through.`);
+                return await this.snapshotStore.get(inputFile.path);
+            }
+
+            const builtSnapshot: Snapshot = assign({}, pendingSnapshot);
+            delete builtSnapshot[OUTPUT_TIMES_KEY];
+            if (!this.options.dryRun) {
+                await this.snapshotStore.set(inputFile.path, builtSnapshot);
+                await this.pendingSnapshotStore.set(inputFile.path, null);
+            }
+            return builtSnapshot;
+        }
+
+        // the manifest is keyed by paths relative to its own directory, so that it still applies when the checkout is moved.
+        private getManifestKey(filePath: string): string {
+            const manifestDirectory = path.dirname(path.resolve(this.options.manifest));
+            return path.relative(manifestDirectory, path.resolve(filePath)).replace(/\\/g, '/');
+        }
+
+        private mapSnapshotPaths(snapshot: Snapshot, mapPath: (p: string) => string): Snapshot {
+            if (!snapshot) {
+                return null;
+            }
+
+            const mappedSnapshot: Snapshot = {};
+            Object.keys(snapshot).forEach(p => mappedSnapshot[p === FINGERPRINT_KEY ? p : mapPath(p)] = snapshot[p]);
+            return mappedSnapshot;
+        }
+
+        private async getManifestSnapshot(inputFile: File): Promise<Snapshot> {
+            const manifestDirectory = path.dirname(path.resolve(this.options.manifest));
+            const manifestSnapshot = await this.snapshotStore.get(this.getManifestKey(inputFile.path));
+            return this.mapSnapshotPaths(manifestSnapshot, p => path.resolve(manifestDirectory, p));
+        }
+
+        private async getSnapshotChangeInfo(inputFile: File, outputFilePaths: string[]): Promise<ChangeInfo> {
+            const previousSnapshot = this.options.manifest ?
+                await this.getManifestSnapshot(inputFile) :
+                await this.getBuiltSnapshot(inputFile, outputFilePaths);
+            const imports = await this.listImports(inputFile);
+            if (!imports) {
+                return getChangeInfo('analysis-failed', imports);
+            }
+
+            const missingDependencies = this.checkMissingDependencies(inputFile, imports);
+            if (missingDependencies.length > 0) {
+                return getChangeInfo('dependency-missing', imports, missingDependencies);
+            }
+
+            const currentSnapshot = await this.takeSnapshot(inputFile, imports);
+
+            if (this.options.manifest) {
+                const resolvedSnapshot = this.mapSnapshotPaths(currentSnapshot, p => path.resolve(p));
+                const manifestChangeInfo = this.getSnapshotChanges(inputFile, imports, previousSnapshot, resolvedSnapshot);
+                const resolvedPath = path.resolve(inputFile.path);
+                if (!manifestChangeInfo) {
+                    delete pendingManifestSnapshots[resolvedPath];
+                    return null;
+                }
+
+                // the manifest is only updated by record(), once the file has made it through the pipeline.
+                if (!this.options.dryRun) {
+                    pendingManifestSnapshots[resolvedPath] = {
+                        manifest: path.resolve(this.options.manifest),
+                        manifestKey: this.getManifestKey(inputFile.path),
+                        snapshot: this.mapSnapshotPaths(currentSnapshot, p => this.getManifestKey(p)),
+                        logger: this.logger
+                    };
+                }
+                return manifestChangeInfo;
+            }
+
+            let changeInfo = this.getSnapshotChanges(inputFile, imports, previousSnapshot, currentSnapshot);
+
+            const { modifiedTime } = await this.hasFileChanged(inputFile, outputFilePaths);
+            if (!modifiedTime) {
+                changeInfo = getChangeInfo(this.getMissingOutputReason(), imports);
+            }
+            if (!changeInfo) {
+                return null;
+            }
+
+            if (!this.options.dryRun) {
+                await this.setPendingSnapshot(inputFile, currentSnapshot, outputFilePaths);
+            }
+            return changeInfo;
+        }
+
+        // a fingerprint recorded when the file was passed through only counts once the output has been written since.
+        private async getBuiltFingerprint(outputFilePath: string, outputTime: number): Promise<string> {
+            const fingerprints = await this.fingerprintStore.get(path.resolve(outputFilePath));
+            if (!fingerprints) {
+                return null;
+            }
+
+            const pendingFingerprint = fingerprints[PENDING_FINGERPRINT_KEY];
+            if (pendingFingerprint && outputTime !== null && JSON.stringify(outputTime) !== fingerprints[OUTPUT_TIMES_KEY]) {
+                if (!this.options.dryRun) {
+                    await this.fingerprintStore.set(path.resolve(outputFilePath), { [FINGERPRINT_KEY]: pendingFingerprint });
+                }
+                return pendingFingerprint;
+            }
+            return fingerprints[FINGERPRINT_KEY] || null;
+        }
+
+        private async haveFingerprintsChanged(outputFilePaths: string[]): Promise<boolean> {
+            const outputTimes = await this.getOutputTimes(outputFilePaths);
+            const builtFingerprints = await Promise.all(outputFilePaths.map((p, i) => this.getBuiltFingerprint(p, outputTimes[i])));
+
+            // outputs built before fingerprints were recorded are assumed to match the current options.
+            const unrecordedOutputs = outputFilePaths.filter((p, i) => !builtFingerprints[i]);
+            if (unrecordedOutputs.length > 0 && !this.options.dryRun) {
+                for (const outputFilePath of unrecordedOutputs) {
+                    await this.fingerprintStore.set(path.resolve(outputFilePath), { [FINGERPRINT_KEY]: this.fingerprint });
+                }
+            }
+
+            return builtFingerprints.some(f => f && f !== this.fingerprint);
+        }
+
+        private getPendingDependencies(fingerprints: Snapshot, outputTime: number): string[] {
+            if (!fingerprints || !fingerprints[PENDING_DEPENDENCIES_KEY] || JSON.stringify(outputTime) !== fingerprints[OUTPUT_TIMES_KEY]) {
+                return [];
+            }
+            return JSON.parse(fingerprints[PENDING_DEPENDENCIES_KEY]);
+        }
+
+        // the import cache moves on to the new set of dependencies straight away, so a change to it is kept until the outputs are written.
+        private async getUnbuiltDependencyChanges(outputFilePaths: string[]): Promise<string[]> {
+            const outputTimes = await this.getOutputTimes(outputFilePaths);
+            const changedDependencies: string[] = [];
+            for (let i = 0; i < outputFilePaths.length; i++) {
+                const fingerprints = await this.fingerprintStore.get(path.resolve(outputFilePaths[i]));
+                changedDependencies.push(...this.getPendingDependencies(fingerprints, outputTimes[i]));
+            }
+            return changedDependencies;
+        }
+
+        private async recordPendingFingerprints(outputFilePaths: string[], changedDependencies: string[]): Promise<void> {
+            const outputTimes = await this.getOutputTimes(outputFilePaths);
+            for (let i = 0; i < outputFilePaths.length; i++) {
+                const previousFingerprints = await this.fingerprintStore.get(path.resolve(outputFilePaths[i]));
+                const fingerprints: Snapshot = {
+                    [PENDING_FINGERPRINT_KEY]: this.fingerprint,
+                    [OUTPUT_TIMES_KEY]: JSON.stringify(outputTimes[i])
+                };
+                if (previousFingerprints && previousFingerprints[FINGERPRINT_KEY]) {
+                    fingerprints[FINGERPRINT_KEY] = previousFingerprints[FINGERPRINT_KEY];
+                }
+                const pendingDependencies = [...this.getPendingDependencies(previousFingerprints, outputTimes[i]), ...changedDependencies]
+                    .filter((p, index, paths) => paths.indexOf(p) === index)
+                    .sort();
+                if (pendingDependencies.length > 0) {
+                    fingerprints[PENDING_DEPENDENCIES_KEY] = JSON.stringify(pendingDependencies);
+                }
+                await this.fingerprintStore.set(path.resolve(outputFilePaths[i]), fingerprints);
+            }
+        }
+
+        private async getChangeInfo(inputFile: File, outputFilePaths: string[]): Promise<ChangeInfo> {
+            if (this.snapshotStore) {
+                return await this.getSnapshotChangeInfo(inputFile, outputFilePaths);
+            }
+
+            const changeInfo = await this.getModifiedTimeChangeInfo(inputFile, outputFilePaths);
+            if (changeInfo && !this.options.dryRun) {
+                await this.recordPendingFingerprints(outputFilePaths,
+                    changeInfo.reason === 'dependencies-changed' ? changeInfo.changedDependencies : []);
+            }
+            return changeInfo;
+        }
+
+        private async getModifiedTimeChangeInfo(inputFile: File, outputFilePaths: string[]): Promise<ChangeInfo> {
+            const { modifiedTime, hasFileChanged } = await this.hasFileChanged(inputFile, outputFilePaths);
+
+            // the imports of a file that needs rebuilding anyway are still listed, so that the reverse index and graph know about it.
+            if (hasFileChanged) {
+                const knownImports = await this.listImports(inputFile);
+                if (knownImports) {
+                    this.checkMissingDependencies(inputFile, knownImports);
+                }
+                return getChangeInfo(modifiedTime ? 'file-changed' : this.getMissingOutputReason(), knownImports);
+            }
+
+            const listing = await this.listImportChanges(inputFile);
+            if (!listing) {
+                return getChangeInfo('analysis-failed', null);
+            }
+
+            const imports = listing.imports;
+            const missingDependencies = this.checkMissingDependencies(inputFile, imports);
+            if (missingDependencies.length > 0) {
+                return getChangeInfo('dependency-missing', imports, missingDependencies);
+            }
+
+            // a deleted or renamed dependency leaves no newer timestamp behind, so the set of dependencies is compared too.
+            const changedImports = [...listing.changedImports, ...await this.getUnbuiltDependencyChanges(outputFilePaths)]
+                .filter((p, i, paths) => paths.indexOf(p) === i)
+                .sort();
+            if (changedImports.length > 0) {
+                return getChangeInfo('dependencies-changed', imports, changedImports);
+            }
+
+            const changedDependencies = imports
+                .filter(i => {
+                    const isNewer = i.time > modifiedTime.getTime();
+                    this.logger.debug(`Dependency '${i.path}' of '${inputFile.path}' (${i.time}) is ${isNewer ? 'newer' : 'not newer'} ` +
+                        `than the output (${modifiedTime.getTime()}).`);
+                    return isNewer;
+                })
+                .map(i => i.path);
+            if (changedDependencies.length > 0) {
+                return getChangeInfo('dependencies-changed', imports, changedDependencies);
+            }
+
+            return await this.haveFingerprintsChanged(outputFilePaths) ? getChangeInfo('options-changed', imports) : null;
+        }
 
+        public async checkFileForChanges(transform: Transform, file: File): Promise<File> {
             if (file.isNull()) {
-                callback(null, null);
-                return;
+                return null;
+            }
+
+            this.summary.checked++;
+            const checkedFile: CheckedFile = { file, changed: false };
+            if (this.options.excludePartials) {
+                this.checkedFiles.push(checkedFile);
             }
 
             try {
-                const changed = await this.hasFileOrDependenciesChanged(file, this.getOutputFileName(file.path));
+                const changeInfo = await this.getChangeInfo(file, this.getOutputFilePaths(file));
 
-                if (changed) {
-                    transform.push(file);
+                if (changeInfo) {
+                    this.summary.changed++;
+                    this.summary.files.push({ path: file.path, reason: changeInfo.reason, changedDependencies: changeInfo.changedDependencies });
+                    (<any>file).lessChanged = changeInfo;
+                    checkedFile.changed = true;
+
+                    // partials can only be told apart from entries once every file in the stream has been analysed.
+                    return this.options.dryRun || this.options.excludePartials ? null : file;
                 }
+
+                this.summary.unchanged++;
             }
             catch (error) {
+                this.summary.errors++;
+                this.checkedFiles = this.checkedFiles.filter(c => c !== checkedFile);
                 transform.emit('error', new gutil.PluginError(MODULE_NAME, `Error processing \'${file.path}\': ${error}`));
             }
-            finally {
-                callback(null, null);
+            return null;
+        }
+
+        public async checkPath(filePath: string): Promise<CheckResult> {
+            // streams give absolute paths, and everything recorded about a file is keyed by them.
+            const resolvedPath = path.resolve(filePath);
+            const [contents, stat] = await Promise.all([fsAsync.readFileAsync(resolvedPath), fsAsync.statAsync(resolvedPath)]);
+            const file = new File({ path: resolvedPath, contents: contents, stat: stat });
+
+            const changeInfo = await this.getChangeInfo(file, this.getOutputFilePaths(file));
+            if (this.options.excludePartials) {
+                this.checkedFiles.push({ file, changed: !!changeInfo });
+            }
+            const result: CheckResult = {
+                path: filePath,
+                changed: !!changeInfo,
+                reason: changeInfo ? changeInfo.reason : null,
+                changedDependencies: changeInfo ? changeInfo.changedDependencies : []
+            };
+
+            const imports = this.dependencies[file.path];
+            const dependencies = changeInfo ? changeInfo.dependencies : imports && imports.map(i => i.path);
+            if (dependencies) {
+                result.dependencies = dependencies;
             }
+            return result;
+        }
+
+        public getPartialPaths(): { [path: string]: boolean } {
+            const streamPaths: { [path: string]: boolean } = {};
+            this.checkedFiles.forEach(c => streamPaths[path.resolve(c.file.path)] = true);
+
+            const partialPaths: { [path: string]: boolean } = {};
+            Object.keys(this.dependencies).forEach(entryPath => {
+                const resolvedEntryPath = path.resolve(entryPath);
+                (this.dependencies[entryPath] || [])
+                    .map(d => path.resolve(d.path))
+                    .filter(p => p !== resolvedEntryPath && streamPaths[p])
+                    .forEach(p => partialPaths[p] = true);
+            });
+            return partialPaths;
+        }
+
+        public excludePartials(): File[] {
+            const partialPaths = this.getPartialPaths();
+            const entries = this.checkedFiles.filter(c => {
+                if (!partialPaths[path.resolve(c.file.path)]) {
+                    return true;
+                }
+
+                this.summary.partials++;
+                if (c.changed) {
+                    this.summary.changed--;
+                    this.summary.files = this.summary.files.filter(f => f.path !== c.file.path);
+                } else {
+                    this.summary.unchanged--;
+                }
+                return false;
+            });
+            this.checkedFiles = [];
+
+            return this.options.dryRun ? [] : entries.filter(c => c.changed).map(c => c.file);
         }
     }
 
+    function getLessOptions(options: PluginOptions) {
+        const lessOptions: any = {};
+        Object.keys(options)
+            .filter(key => PLUGIN_OPTIONS.indexOf(key) < 0)
+            .forEach(key => lessOptions[key] = (<any>options)[key]);
+        return lessOptions;
+    }
+
+    function describePlugin(plugin: any): string {
+        const name = plugin && plugin.constructor && plugin.constructor !== Object ? plugin.constructor.name : 'plugin';
+        try {
+            return `${name}:${JSON.stringify(plugin.minVersion || [])}:${JSON.stringify(plugin.options || {})}`;
+        }
+        catch (error) {
+            return name;
+        }
+    }
+
+    function getFingerprint(options: PluginOptions): string {
+        const lessOptions = getLessOptions(options);
+        const plugins: any[] = lessOptions.plugins || [];
+        delete lessOptions.plugins;
+        DEPENDENCY_OPTIONS.forEach(key => delete lessOptions[key]);
+
+        const fingerprint = JSON.stringify({
+            version: (<any>less).version,
+            options: lessOptions,
+            plugins: plugins.map(describePlugin)
+        });
+        return crypto.createHash('md5').update(fingerprint).digest('hex');
+    }
+
+    function getBufferKey(options: PluginOptions) {
+        const instanceKey = crypto.createHash('md5').update(__dirname + JSON.stringify(getLessOptions(options))).digest('hex');
+        return `${MODULE_NAME}-${instanceKey}`;
+    }
+
+    function getDependencyIndex(bufferKey: string, logger: Logger) {
+        return new DependencyIndex(path.join(os.tmpdir(), bufferKey, 'dependencies.json'), logger);
+    }
+
+    function getLogger(options: PluginOptions) {
+        return new Logger(options.logLevel, options.logger);
+    }
+
+    function formatGraph(graph: DependencyGraph, format: string): DependencyGraph | string {
+        return format === 'dot' ? toDot(graph) : graph;
+    }
+
+    async function writeOutputFile(filePath: string, contents: string) {
+        await mkdirpAsync(path.dirname(filePath));
+        await fsAsync.writeFileAsync(filePath, contents);
+    }
+
+    async function writeGraph(graphFile: string, format: string, graph: DependencyGraph) {
+        const formattedGraph = formatGraph(graph, format);
+        await writeOutputFile(graphFile, typeof formattedGraph === 'string' ? formattedGraph : JSON.stringify(formattedGraph, null, 2));
+    }
+
+    function logSummary(summary: Summary, logger: Logger) {
+        const action = summary.dryRun ? 'would be passed through' : 'passed through';
+        const errors = summary.errors > 0 ? `, ${summary.errors} failed` : '';
+        const partials = summary.partials > 0 ? `, ${summary.partials} partial(s) skipped` : '';
+        logger.info(`checked ${summary.checked} file(s): ${summary.changed} ${action}, ` +
+            `${summary.unchanged} unchanged${partials}${errors}. Dependency analysis took ${summary.analysisTime} ms.`);
+
+        if (summary.dryRun) {
+            summary.files.forEach(f => {
+                const changedDependencies = f.changedDependencies.length > 0 ? `: ${f.changedDependencies.join(', ')}` : '';
+                logger.info(`  ${f.path} (${f.reason}${changedDependencies})`);
+            });
+        }
+    }
+
+    function validateOptions(options: PluginOptions) {
+        if (options.compare && options.compare !== 'mtime' && options.compare !== 'hash') {
+            throw new gutil.PluginError(MODULE_NAME, `Unknown compare mode '${options.compare}'.`);
+        }
+
+        if (options.graphFormat && options.graphFormat !== 'json' && options.graphFormat !== 'dot') {
+            throw new gutil.PluginError(MODULE_NAME, `Unknown graph format '${options.graphFormat}'.`);
+        }
+
+        if (options.analyzer && options.analyzer !== 'render' && options.analyzer !== 'parse') {
+            throw new gutil.PluginError(MODULE_NAME, `Unknown analyzer '${options.analyzer}'.`);
+        }
+
+        const missingDependencyPolicies = ['ignore', 'rebuild', 'error'];
+        if (options.missingDependency && missingDependencyPolicies.indexOf(options.missingDependency) < 0) {
+            throw new gutil.PluginError(MODULE_NAME, `Unknown missing dependency policy '${options.missingDependency}'.`);
+        }
+
+        if (options.logLevel && !isLogLevel(options.logLevel)) {
+            throw new gutil.PluginError(MODULE_NAME, `Unknown log level '${options.logLevel}'.`);
+        }
+
+        const since: any = options.since;
+        if (since !== undefined && !(since instanceof Date) && typeof since !== 'number' && typeof since !== 'function') {
+            throw new gutil.PluginError(MODULE_NAME, `Invalid since option '${since}'. Expected a Date, a number or a function.`);
+        }
+
+        const trackUrls: any = options.trackUrls;
+        if (trackUrls !== undefined && typeof trackUrls !== 'boolean' && typeof trackUrls !== 'string' &&
+            !(Array.isArray(trackUrls) && trackUrls.every((p: any) => typeof p === 'string'))) {
+            throw new gutil.PluginError(MODULE_NAME, `Invalid trackUrls option '${trackUrls}'. Expected a boolean, a glob or an array of globs.`);
+        }
+
+        // a null index turns off tracking of a built-in function.
+        const fileFunctions: any = options.fileFunctions;
+        const isArgumentIndex = (index: any) => index === null || (typeof index === 'number' && index >= 0 && Math.floor(index) === index);
+        if (fileFunctions !== undefined &&
+            (!fileFunctions || typeof fileFunctions !== 'object' || Array.isArray(fileFunctions) || !Object.keys(fileFunctions).every(name => isArgumentIndex(fileFunctions[name])))) {
+            throw new gutil.PluginError(MODULE_NAME, 'Invalid fileFunctions option. Expected an object mapping function names to argument indexes.');
+        }
+
+        const aliases: any = options.aliases;
+        if (aliases !== undefined && (!aliases || typeof aliases !== 'object' || Array.isArray(aliases) ||
+            !Object.keys(aliases).every(prefix => typeof aliases[prefix] === 'string'))) {
+            throw new gutil.PluginError(MODULE_NAME, 'Invalid aliases option. Expected an object mapping prefixes to directories.');
+        }
+
+        const concurrency = options.concurrency;
+        if (concurrency !== undefined && (!(concurrency >= 1) || Math.floor(concurrency) !== concurrency)) {
+            throw new gutil.PluginError(MODULE_NAME, `Invalid concurrency '${options.concurrency}'. Expected a whole number greater than zero.`);
+        }
+    }
+
+    function createImportChecker(options: PluginOptions, logger: Logger) {
+        const importLister = new ImportLister(options, logger);
+
+        const bufferKey = getBufferKey(options);
+        // dry runs and checks don't build anything, so they leave the dependencies cached by the last real run alone.
+        const importBuffer = new ImportBuffer(
+            importLister.listImports.bind(importLister), bufferKey, getDependencyIndex(bufferKey, logger), logger, !!options.dryRun);
+
+        let snapshotStore: SnapshotStore;
+        let pendingSnapshotStore: SnapshotStore;
+        if (options.manifest) {
+            snapshotStore = new SnapshotStore(path.resolve(options.manifest), logger);
+        } else if (options.compare === 'hash') {
+            snapshotStore = new SnapshotStore(path.join(os.tmpdir(), bufferKey, 'snapshots.json'), logger);
+            pendingSnapshotStore = new SnapshotStore(path.join(os.tmpdir(), bufferKey, 'pending-snapshots.json'), logger);
+        }
+
+        const instanceDirectoryKey = crypto.createHash('md5').update(__dirname).digest('hex');
+        const fingerprintStore = new SnapshotStore(
+            path.join(os.tmpdir(), `${MODULE_NAME}-${instanceDirectoryKey}`, 'fingerprints.json'), logger);
+
+        return new ImportChecker(options, importBuffer, logger, getFingerprint(options), fingerprintStore, snapshotStore, pendingSnapshotStore);
+    }
+
     export function run(options?: gulpLessChanged.PluginOptions) {
         options = options || {};
+        validateOptions(options);
 
-        const importLister = new ImportLister(options);
+        const concurrency = options.concurrency === undefined ? 1 : options.concurrency;
+        const logger = getLogger(options);
+        const importChecker = createImportChecker(options, logger);
+        const startTime = Date.now();
 
-        const instanceKey = crypto.createHash('md5').update(__dirname + JSON.stringify(options)).digest('hex');
-        const bufferKey = `${MODULE_NAME}-${instanceKey}`;
-        const importBuffer = new ImportBuffer(importLister.listImports.bind(importLister), bufferKey);
-
-        const importChecker = new ImportChecker(options, importBuffer);
+        let checkQueue: CheckQueue;
 
         return through.obj(function (file: File, enc: string, callback: (error: any, data: any) => any) {
-            importChecker.checkFileForChanges(this, file, enc, callback);
+            checkQueue = checkQueue || new CheckQueue(this, concurrency, options.ordered !== false);
+            checkQueue.add(importChecker.checkFileForChanges(this, file), callback);
+        }, async function (callback: (error?: any) => any) {
+            if (checkQueue) {
+                await checkQueue.drain();
+            }
+
+            if (options.excludePartials) {
+                importChecker.excludePartials().forEach(file => this.push(file));
+            }
+
+            if (options.graphFile) {
+                const graphFormat = options.graphFormat || (/\.(dot|gv)$/i.test(options.graphFile) ? 'dot' : 'json');
+                try {
+                    await writeGraph(options.graphFile, graphFormat, buildGraph(importChecker.dependencies));
+                }
+                catch (error) {
+                    this.emit('error', new gutil.PluginError(MODULE_NAME, `Failed to write dependency graph to '${options.graphFile}': ${error}`));
+                }
+            }
+
+            const summary = importChecker.summary;
+            summary.duration = Date.now() - startTime;
+            this.emit('summary', summary);
+
+            if (options.summary || options.dryRun) {
+                logSummary(summary, logger);
+            }
+
+            if (options.summaryFile) {
+                try {
+                    await writeOutputFile(options.summaryFile, JSON.stringify(summary, null, 2));
+                }
+                catch (error) {
+                    this.emit('error', new gutil.PluginError(MODULE_NAME, `Failed to write summary to '${options.summaryFile}': ${error}`));
+                }
+            }
+
+            callback();
+        });
+    }
+
+    export function record() {
+        return through.obj(async function (file: File, enc: string, callback: (error: any, data: any) => any) {
+            // files are matched by every path they have had, so renaming steps such as gulp-less don't stop them being recorded.
+            const entryPaths = file.history.map(p => path.resolve(p)).filter(p => pendingManifestSnapshots[p]);
+            for (const entryPath of entryPaths) {
+                const pendingSnapshot = pendingManifestSnapshots[entryPath];
+                delete pendingManifestSnapshots[entryPath];
+                const snapshotStore = new SnapshotStore(pendingSnapshot.manifest, pendingSnapshot.logger);
+                await snapshotStore.set(pendingSnapshot.manifestKey, pendingSnapshot.snapshot);
+            }
+            callback(null, file);
         });
     }
+
+    export async function check(paths: string | string[], options?: PluginOptions): Promise<CheckResult[]> {
+        // checking is only ever a query, so nothing is recorded as built.
+        const checkOptions: PluginOptions = assign({}, options, { dryRun: true });
+        validateOptions(checkOptions);
+
+        const importChecker = createImportChecker(checkOptions, getLogger(checkOptions));
+        importChecker.recordDependencies = true;
+
+        const results: CheckResult[] = [];
+        for (const filePath of typeof paths === 'string' ? [paths] : paths) {
+            try {
+                results.push(await importChecker.checkPath(filePath));
+            }
+            catch (error) {
+                throw new gutil.PluginError(MODULE_NAME, `Error processing '${filePath}': ${error}`);
+            }
+        }
+
+        // as with a stream, partials can only be told apart from entries once every file has been checked.
+        if (checkOptions.excludePartials) {
+            const partialPaths = importChecker.getPartialPaths();
+            return results.filter(r => !partialPaths[path.resolve(r.path)]);
+        }
+        return results;
+    }
+
+    export function watch(globs: string | string[], options?: PluginOptions | WatchTask, task?: WatchTask): Watcher {
+        if (typeof options === 'function') {
+            task = options;
+            options = {};
+        }
+        const pluginOptions: PluginOptions = options || {};
+
+        if (!task) {
+            throw new gutil.PluginError(MODULE_NAME, 'A watch task is required.');
+        }
+
+        const logger = getLogger(pluginOptions);
+        const importLister = new ImportLister(pluginOptions, logger);
+        return new Watcher(typeof globs === 'string' ? [globs] : globs, importLister, task, logger, pluginOptions.watchDelay);
+    }
+
+    export async function affectedBy(paths: string | string[], options?: PluginOptions): Promise<string[]> {
+        const changedPaths = typeof paths === 'string' ? [paths] : paths;
+        options = options || {};
+        const dependencyIndex = getDependencyIndex(getBufferKey(options), getLogger(options));
+        return await dependencyIndex.getAffectedEntries(changedPaths);
+    }
+
+    export async function graph(options?: PluginOptions, format?: 'json' | 'dot'): Promise<DependencyGraph | string> {
+        options = options || {};
+        const dependencyIndex = getDependencyIndex(getBufferKey(options), getLogger(options));
+        return formatGraph(await dependencyIndex.getGraph(), format);
+    }
 }
 
-module.exports = gulpLessChanged.run;
\ No newline at end of file
+const lessChanged: any = gulpLessChanged.run;
+lessChanged.record = gulpLessChanged.record;
+lessChanged.affectedBy = gulpLessChanged.affectedBy;
+lessChanged.graph = gulpLessChanged.graph;
+lessChanged.watch = gulpLessChanged.watch;
+lessChanged.check = gulpLessChanged.check;
+
+module.exports = lessChanged;
\ No newline at end of file
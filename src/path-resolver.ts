@@ -17,7 +17,41 @@ module pathResolver {
         }
     }
 
+    export interface ModulePath {
+        packageName: string;
+        subPath: string;
+    }
+
+    // paths starting with '~' are looked up in node_modules, as with webpack's less-loader.
+    export function isModulePath(inputPath: string): boolean {
+        return !!inputPath && inputPath[0] === '~';
+    }
+
+    export function parseModulePath(inputPath: string): ModulePath {
+        const parts = inputPath.slice(1).split(/[\/\\]/);
+        const nameLength = parts[0][0] === '@' ? 2 : 1;
+        return { packageName: parts.slice(0, nameLength).join('/'), subPath: parts.slice(nameLength).join('/') };
+    }
+
+    export interface Aliases {
+        [prefix: string]: string;
+    }
+
+    export function getAliasedPath(aliases: Aliases, inputPath: string): string {
+        // the longest matching prefix wins, so that e.g. '@theme/icons' can point somewhere other than '@theme'.
+        const prefix = Object.keys(aliases || {})
+            .filter(p => inputPath === p || inputPath.indexOf(`${p}/`) === 0)
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix === undefined ? null : path.join(aliases[prefix], inputPath.slice(prefix.length));
+    }
+
     export class PathResolver {
+        private aliases: Aliases;
+
+        constructor(aliases?: Aliases) {
+            this.aliases = aliases || {};
+        }
+
         private async filterExistingPaths(pathsToTry: string[]) {
             const checkedPaths = await Promise.all(pathsToTry.map(async path => {
                 try {
@@ -30,7 +64,7 @@ module pathResolver {
             return checkedPaths.filter(path => !!path);
         }
 
-        public async resolve(currentDirectory: string, inputPath: string, searchPaths: string[]): Promise<string> {
+        private getPathsToTry(currentDirectory: string, inputPath: string, searchPaths: string[]) {
             let pathsToTry = [path.join(currentDirectory, inputPath)];
 
             if (searchPaths) {
@@ -38,6 +72,65 @@ module pathResolver {
             }
 
             pathsToTry.push(path.join(process.cwd(), inputPath));
+            return pathsToTry;
+        }
+
+        private getNodeModulesDirectories(currentDirectory: string): string[] {
+            const directories: string[] = [];
+            let directory = path.resolve(currentDirectory);
+            while (true) {
+                directories.push(path.join(directory, 'node_modules'));
+
+                const parentDirectory = path.dirname(directory);
+                if (parentDirectory === directory) {
+                    return directories;
+                }
+                directory = parentDirectory;
+            }
+        }
+
+        private async readPackageJson(packageDirectory: string): Promise<any> {
+            try {
+                return JSON.parse(await fsAsync.readFileAsync(path.join(packageDirectory, 'package.json'), 'utf8')) || {};
+            } catch (error) {
+                return {};
+            }
+        }
+
+        private async getPluginPaths(currentDirectory: string, pluginName: string): Promise<string[]> {
+            const pathsToTry: string[] = [];
+            for (const nodeModules of this.getNodeModulesDirectories(currentDirectory)) {
+                const packageDirectory = path.join(nodeModules, pluginName);
+                const packageJson = await this.readPackageJson(packageDirectory);
+                if (typeof packageJson.main === 'string') {
+                    const packageMain = path.join(packageDirectory, packageJson.main);
+                    pathsToTry.push(packageMain, `${packageMain}.js`);
+                }
+                pathsToTry.push(`${packageDirectory}.js`, path.join(packageDirectory, 'index.js'));
+            }
+            return pathsToTry;
+        }
+
+        private async getModulePaths(currentDirectory: string, modulePath: ModulePath): Promise<string[]> {
+            const pathsToTry: string[] = [];
+            for (const nodeModules of this.getNodeModulesDirectories(currentDirectory)) {
+                const packageDirectory = path.join(nodeModules, modulePath.packageName);
+                if (modulePath.subPath) {
+                    pathsToTry.push(path.join(packageDirectory, modulePath.subPath));
+                    continue;
+                }
+
+                // packages of stylesheets name their entry point in 'less' or 'style' rather than 'main'.
+                const packageJson = await this.readPackageJson(packageDirectory);
+                ['less', 'style']
+                    .filter(field => typeof packageJson[field] === 'string')
+                    .forEach(field => pathsToTry.push(path.join(packageDirectory, packageJson[field])));
+                pathsToTry.push(path.join(packageDirectory, 'index.less'));
+            }
+            return pathsToTry;
+        }
+
+        private async resolveFirst(inputPath: string, pathsToTry: string[]): Promise<string> {
             const resolvedPaths = await this.filterExistingPaths(pathsToTry);
 
             const validPath = resolvedPaths[0];
@@ -48,6 +141,33 @@ module pathResolver {
 
             return validPath;
         }
+
+        public async resolve(currentDirectory: string, inputPath: string, searchPaths: string[]): Promise<string> {
+            if (isModulePath(inputPath)) {
+                return this.resolveModule(currentDirectory, inputPath);
+            }
+
+            const aliasedPath = getAliasedPath(this.aliases, inputPath);
+            if (aliasedPath !== null) {
+                return this.resolveFirst(inputPath, [aliasedPath]);
+            }
+
+            return this.resolveFirst(inputPath, this.getPathsToTry(currentDirectory, inputPath, searchPaths));
+        }
+
+        public async resolvePlugin(currentDirectory: string, pluginName: string, searchPaths: string[]): Promise<string> {
+            // like LESS, '.js' is added to plugin names without an extension, and installed packages are tried last.
+            const fileName = path.extname(pluginName) ? pluginName : `${pluginName}.js`;
+            const pathsToTry = this.getPathsToTry(currentDirectory, fileName, searchPaths);
+            if (!path.isAbsolute(pluginName) && !/^\.\.?[\/\\]/.test(pluginName)) {
+                pathsToTry.push(...await this.getPluginPaths(currentDirectory, pluginName));
+            }
+            return this.resolveFirst(pluginName, pathsToTry);
+        }
+
+        public async resolveModule(currentDirectory: string, inputPath: string): Promise<string> {
+            return this.resolveFirst(inputPath, await this.getModulePaths(currentDirectory, parseModulePath(inputPath)));
+        }
     }
 }
 
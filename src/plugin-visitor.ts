@@ -0,0 +1,46 @@
+import * as less from 'less';
+import * as path from 'path';
+import { Import } from './data-uri-visitor';
+
+module pluginVisitor {
+    export class PluginVisitor {
+        public isReplacing = false;
+        public isPreEvalVisitor = true;
+        private _visitor: Less.Visitor;
+        private _imports: Import[] = [];
+
+        constructor(less: Less.LessStaticExtensions) {
+            this._visitor = new less.visitors.Visitor(this);
+        }
+
+        run(root: Less.Node) {
+            return this._visitor.visit(root);
+        }
+
+        public visitImport(importNode: Less.ImportNode, visitArgs: any) {
+            if (!importNode.options || !importNode.options.plugin || !importNode.path) {
+                return importNode;
+            }
+
+            const pluginName = importNode.path.value;
+            if (typeof pluginName !== 'string' || /@/.test(pluginName)) {
+                return importNode;
+            }
+
+            const fileInfo = importNode.currentFileInfo;
+            this._imports.push({
+                directory: fileInfo && fileInfo.currentDirectory ? path.normalize(fileInfo.currentDirectory) : '',
+                relativePath: pluginName,
+                importedFrom: fileInfo ? fileInfo.filename : undefined
+            });
+
+            return importNode;
+        }
+
+        public get imports(): Import[] {
+            return this._imports;
+        }
+    }
+}
+
+export = pluginVisitor;
@@ -0,0 +1,82 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as bluebird from 'bluebird';
+import * as mkdirp from 'mkdirp';
+import { Logger } from './logger';
+
+const fsAsync: any = bluebird.promisifyAll(fs);
+const mkdirpAsync: any = bluebird.promisify(mkdirp);
+
+module snapshotStore {
+
+    export interface Snapshot {
+        [path: string]: string;
+    }
+
+    interface StoreState {
+        snapshots: Promise<{ [entryPath: string]: Snapshot }>;
+        lastWrite: Promise<void>;
+    }
+
+    let perFileStoreState: { [storeFile: string]: StoreState } = {};
+
+    export class SnapshotStore {
+        private state: StoreState;
+        private logger: Logger;
+
+        constructor(private storeFile: string, logger?: Logger) {
+            if (!storeFile) {
+                throw new Error('A store file is required.');
+            }
+            this.logger = logger || new Logger();
+
+            this.state = perFileStoreState[storeFile];
+            if (!this.state) {
+                this.state = perFileStoreState[storeFile] = {
+                    snapshots: this.loadSnapshots(),
+                    lastWrite: Promise.resolve()
+                };
+            }
+        }
+
+        private async loadSnapshots(): Promise<{ [entryPath: string]: Snapshot }> {
+            try {
+                const data = await fsAsync.readFileAsync(this.storeFile);
+                return JSON.parse(data);
+            }
+            catch (error) {
+                if (error.code !== 'ENOENT') {
+                    this.logger.warn(`Failed to load snapshots from '${this.storeFile}'. ${error}`);
+                }
+                return {};
+            }
+        }
+
+        private async saveSnapshots(snapshots: { [entryPath: string]: Snapshot }): Promise<void> {
+            try {
+                await mkdirpAsync(path.dirname(this.storeFile));
+                await fsAsync.writeFileAsync(this.storeFile, JSON.stringify(snapshots));
+            }
+            catch (error) {
+                this.logger.warn(`Failed to save snapshots to '${this.storeFile}'. ${error}`);
+            }
+        }
+
+        public async get(entryPath: string): Promise<Snapshot> {
+            const snapshots = await this.state.snapshots;
+            return snapshots[entryPath] || null;
+        }
+
+        public async set(entryPath: string, snapshot: Snapshot): Promise<void> {
+            const snapshots = await this.state.snapshots;
+            snapshots[entryPath] = snapshot;
+
+            // writes are chained so that the file on disk always ends up with the latest snapshots.
+            const write = this.state.lastWrite.then(() => this.saveSnapshots(snapshots));
+            this.state.lastWrite = write;
+            await write;
+        }
+    }
+}
+
+export = snapshotStore;
@@ -0,0 +1,193 @@
+import File = require('vinyl');
+import * as fs from 'fs';
+import * as path from 'path';
+import * as bluebird from 'bluebird';
+import glob = require('glob');
+import { ImportLister } from './import-lister';
+import { Logger } from './logger';
+
+const fsAsync: any = bluebird.promisifyAll(fs);
+const globAsync: any = bluebird.promisify(glob);
+
+const DEFAULT_DELAY = 100;
+
+module watcher {
+
+    export type WatchTask = (entries: string[]) => any;
+
+    function waitForTask(result: any): Promise<void> {
+        if (result && typeof result.then === 'function') {
+            return result;
+        }
+        if (result && typeof result.on === 'function') {
+            return new Promise<void>((resolve, reject) => {
+                result.on('end', resolve);
+                result.on('finish', resolve);
+                result.on('error', reject);
+            });
+        }
+        return Promise.resolve();
+    }
+
+    export class Watcher {
+        public ready: Promise<void>;
+        private dependencies: { [entryPath: string]: string[] } = {};
+        private fileWatchers: { [filePath: string]: fs.FSWatcher } = {};
+        private changedPaths: { [filePath: string]: boolean } = {};
+        private timer: NodeJS.Timer = null;
+        private lastRun: Promise<void> = Promise.resolve();
+        private closed = false;
+
+        constructor(
+            private globs: string[],
+            private importLister: ImportLister,
+            private task: WatchTask,
+            private logger: Logger,
+            private delay?: number) {
+            if (!task || !(task instanceof Function)) {
+                throw new Error('A watch task is required.');
+            }
+            if (this.delay === undefined) {
+                this.delay = DEFAULT_DELAY;
+            }
+            this.ready = this.start();
+        }
+
+        private async findEntries(): Promise<string[]> {
+            const patterns = this.globs.filter(g => g[0] !== '!');
+            const ignore = this.globs.filter(g => g[0] === '!').map(g => g.slice(1));
+            const matches: string[][] = await Promise.all(patterns.map(p => globAsync(p, { ignore: ignore, nodir: true })));
+            return (<string[]>[]).concat(...matches)
+                .map(p => path.resolve(p))
+                .filter((p, i, paths) => paths.indexOf(p) === i)
+                .sort();
+        }
+
+        private async analyse(entryPath: string): Promise<void> {
+            try {
+                const contents = await fsAsync.readFileAsync(entryPath);
+                const imports = await this.importLister.listImports(new File({ path: entryPath, contents: contents }));
+                this.dependencies[entryPath] = imports.filter(i => !i.missing).map(i => path.resolve(i.path));
+            }
+            catch (error) {
+                if (error.code === 'ENOENT') {
+                    this.logger.debug(`No longer watching '${entryPath}': the file has been deleted.`);
+                    delete this.dependencies[entryPath];
+                    return;
+                }
+
+                // the entry is probably mid-edit, so keep watching the dependencies it had before.
+                this.logger.debug(`Failed to analyse '${entryPath}': ${error}`);
+                this.dependencies[entryPath] = this.dependencies[entryPath] || [];
+            }
+        }
+
+        private async start(): Promise<void> {
+            const entries = await this.findEntries();
+            for (const entryPath of entries) {
+                await this.analyse(entryPath);
+            }
+            this.updateWatchedFiles();
+        }
+
+        private updateWatchedFiles() {
+            if (this.closed) {
+                return;
+            }
+
+            const watchedPaths: { [filePath: string]: boolean } = {};
+            Object.keys(this.dependencies).forEach(entryPath => {
+                watchedPaths[entryPath] = true;
+                this.dependencies[entryPath].forEach(d => watchedPaths[d] = true);
+            });
+
+            Object.keys(this.fileWatchers)
+                .filter(p => !watchedPaths[p])
+                .forEach(p => this.unwatchFile(p));
+            Object.keys(watchedPaths)
+                .filter(p => !this.fileWatchers[p])
+                .forEach(p => this.watchFile(p));
+        }
+
+        private watchFile(filePath: string) {
+            try {
+                this.fileWatchers[filePath] = fs.watch(filePath, (eventType: string) => this.onFileChanged(filePath, eventType));
+                this.logger.debug(`Watching '${filePath}'.`);
+            }
+            catch (error) {
+                this.logger.debug(`Unable to watch '${filePath}': ${error}`);
+            }
+        }
+
+        private unwatchFile(filePath: string) {
+            const fileWatcher = this.fileWatchers[filePath];
+            if (fileWatcher) {
+                fileWatcher.close();
+                delete this.fileWatchers[filePath];
+            }
+        }
+
+        private onFileChanged(filePath: string, eventType: string) {
+            // editors often save by replacing the file, which ends the watch on the original, so it is watched again afterwards.
+            if (eventType === 'rename') {
+                this.unwatchFile(filePath);
+            }
+
+            this.changedPaths[filePath] = true;
+            if (this.timer) {
+                clearTimeout(this.timer);
+            }
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.lastRun = this.lastRun.then(() => this.processChanges());
+            }, this.delay);
+        }
+
+        private async processChanges(): Promise<void> {
+            const changedPaths = Object.keys(this.changedPaths);
+            this.changedPaths = {};
+
+            const affectedEntries = this.getAffectedEntries(changedPaths);
+            for (const entryPath of affectedEntries) {
+                await this.analyse(entryPath);
+            }
+            this.updateWatchedFiles();
+
+            const entries = affectedEntries.filter(e => !!this.dependencies[e]);
+            if (entries.length === 0 || this.closed) {
+                return;
+            }
+
+            this.logger.debug(`Running watch task for ${entries.join(', ')}.`);
+            try {
+                await waitForTask(this.task(entries));
+            }
+            catch (error) {
+                this.logger.error(`Watch task failed: ${error}`);
+            }
+        }
+
+        public getAffectedEntries(changedPaths: string[]): string[] {
+            const resolvedPaths = changedPaths.map(p => path.resolve(p));
+            return Object.keys(this.dependencies)
+                .filter(entryPath => resolvedPaths.indexOf(entryPath) >= 0 ||
+                    this.dependencies[entryPath].some(d => resolvedPaths.indexOf(d) >= 0))
+                .sort();
+        }
+
+        public getWatchedFiles(): string[] {
+            return Object.keys(this.fileWatchers).sort();
+        }
+
+        public close() {
+            this.closed = true;
+            if (this.timer) {
+                clearTimeout(this.timer);
+                this.timer = null;
+            }
+            Object.keys(this.fileWatchers).forEach(p => this.unwatchFile(p));
+        }
+    }
+}
+
+export = watcher;
@@ -0,0 +1,149 @@
+'use strict';
+
+import chai from 'chai';
+import File from 'vinyl';
+import through from 'through2';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { CheckQueue } from '../release/check-queue';
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+function nextTick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('check-queue', () => {
+    let transform;
+    let pushed;
+    let files;
+
+    beforeEach(() => {
+        transform = through.obj();
+        pushed = [];
+        sinon.stub(transform, 'push').callsFake(file => pushed.push(file));
+        files = [1, 2, 3].map(i => new File({ path: `file${i}.less` }));
+    });
+
+    describe('when checking one file at a time', () => {
+        it('should only accept the next file once the check has completed', async () => {
+            const queue = new CheckQueue(transform, 1, true);
+            const check = deferred();
+            const callback = sinon.spy();
+
+            queue.add(check.promise, callback);
+            await nextTick();
+            expect(callback).not.to.have.been.called;
+
+            check.resolve(files[0]);
+            await nextTick();
+            expect(callback).to.have.been.calledOnce;
+            expect(pushed).to.deep.equal([files[0]]);
+        });
+    });
+
+    describe('when checking several files at once', () => {
+        let checks;
+        let callbacks;
+
+        beforeEach(() => {
+            checks = [deferred(), deferred(), deferred()];
+            callbacks = [sinon.spy(), sinon.spy(), sinon.spy()];
+        });
+
+        it('should accept files until the concurrency limit is reached', async () => {
+            const queue = new CheckQueue(transform, 2, true);
+            queue.add(checks[0].promise, callbacks[0]);
+            queue.add(checks[1].promise, callbacks[1]);
+
+            expect(callbacks[0]).to.have.been.called;
+            expect(callbacks[1]).not.to.have.been.called;
+
+            checks[1].resolve(null);
+            await nextTick();
+            expect(callbacks[1]).to.have.been.called;
+        });
+
+        it('should push files in the order they were added', async () => {
+            const queue = new CheckQueue(transform, 3, true);
+            checks.forEach((c, i) => queue.add(c.promise, callbacks[i]));
+
+            checks[2].resolve(files[2]);
+            checks[1].resolve(files[1]);
+            await nextTick();
+            expect(pushed).to.be.empty;
+
+            checks[0].resolve(files[0]);
+            await nextTick();
+            expect(pushed).to.deep.equal(files);
+        });
+
+        it('should skip checks that produced no file', async () => {
+            const queue = new CheckQueue(transform, 3, true);
+            checks.forEach((c, i) => queue.add(c.promise, callbacks[i]));
+
+            checks[0].resolve(files[0]);
+            checks[1].resolve(null);
+            checks[2].resolve(files[2]);
+            await nextTick();
+            expect(pushed).to.deep.equal([files[0], files[2]]);
+        });
+
+        it('should push files as soon as they are checked when unordered', async () => {
+            const queue = new CheckQueue(transform, 3, false);
+            checks.forEach((c, i) => queue.add(c.promise, callbacks[i]));
+
+            checks[2].resolve(files[2]);
+            await nextTick();
+            expect(pushed).to.deep.equal([files[2]]);
+
+            checks[0].resolve(files[0]);
+            checks[1].resolve(files[1]);
+            await nextTick();
+            expect(pushed).to.deep.equal([files[2], files[0], files[1]]);
+        });
+
+        it('should emit an error for a failed check and carry on', async () => {
+            const queue = new CheckQueue(transform, 3, true);
+            const errorSpy = sinon.spy();
+            transform.on('error', errorSpy);
+            checks.forEach((c, i) => queue.add(c.promise, callbacks[i]));
+
+            checks[0].reject(new Error('Some error.'));
+            checks[1].resolve(files[1]);
+            checks[2].resolve(files[2]);
+            await nextTick();
+            expect(errorSpy).to.have.been.calledWith(sinon.match({ message: 'Some error.' }));
+            expect(pushed).to.deep.equal([files[1], files[2]]);
+        });
+
+        it('should wait for running checks when draining', async () => {
+            const queue = new CheckQueue(transform, 3, true);
+            checks.forEach((c, i) => queue.add(c.promise, callbacks[i]));
+
+            const drained = sinon.spy();
+            queue.drain().then(drained);
+            checks[0].resolve(files[0]);
+            checks[1].resolve(files[1]);
+            await nextTick();
+            expect(drained).not.to.have.been.called;
+
+            checks[2].resolve(files[2]);
+            await nextTick();
+            expect(drained).to.have.been.called;
+            expect(pushed).to.deep.equal(files);
+        });
+    });
+});
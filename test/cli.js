@@ -0,0 +1,383 @@
+'use strict';
+
+import chai from 'chai';
+import FakeFs from 'fake-fs';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import path from 'path';
+import File from 'vinyl';
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+function getCli(options) {
+    const globStub = (pattern, globOptions, callback) => callback(null, (options.globs || {})[pattern] || []);
+    class FakeImportLister {
+        listImports() {
+            return Promise.resolve(options.imports || []);
+        }
+    }
+    return proxyquire('../release/cli', Object.assign({
+        './main': { check: options.check || sinon.stub().resolves([]) },
+        './import-lister': { ImportLister: FakeImportLister },
+        'fs': options.fs || new FakeFs(),
+        'glob': globStub
+    }, options.modules));
+}
+
+// the real plugin, with a fake file system and stores, for checks that go all the way through.
+function getLessChanged(fs, stores) {
+    const getStore = storeFile => {
+        const snapshots = stores[path.basename(storeFile)] = stores[path.basename(storeFile)] || {};
+        return {
+            get: key => Promise.resolve(snapshots[key] || null),
+            set: (key, snapshot) => {
+                snapshots[key] = snapshot;
+                return Promise.resolve();
+            }
+        };
+    };
+    return proxyquire('../release/main', {
+        './import-lister': { ImportLister: function () { return { listImports: () => Promise.resolve([]) }; } },
+        './import-buffer': {
+            ImportBuffer: function (lister) {
+                return { listImportChanges: file => lister(file).then(imports => ({ imports: imports, changedImports: [] })) };
+            }
+        },
+        './snapshot-store': { SnapshotStore: getStore },
+        'less': { version: [2, 7, 3] },
+        'fs': fs
+    });
+}
+
+function getOutput() {
+    const lines = { log: [], error: [] };
+    return {
+        lines: lines,
+        log: message => lines.log.push(message),
+        error: message => lines.error.push(message)
+    };
+}
+
+function result(filePath, changed, reason, changedDependencies) {
+    return {
+        path: path.resolve(filePath),
+        changed: changed,
+        reason: reason,
+        changedDependencies: changedDependencies || [],
+        dependencies: []
+    };
+}
+
+describe('cli', () => {
+    let output;
+
+    beforeEach(() => {
+        output = getOutput();
+    });
+
+    describe('when given bad arguments', () => {
+        it('should print the usage when asked for help', async () => {
+            const cli = getCli({});
+            expect(await cli.main(['--help'], output)).to.equal(0);
+            expect(output.lines.log[0]).to.contain('Usage: less-changed');
+        });
+
+        it('should fail when no command is given', async () => {
+            const cli = getCli({});
+            expect(await cli.main([], output)).to.equal(2);
+            expect(output.lines.error[0]).to.contain('No command given.');
+            expect(output.lines.error[0]).to.contain('Usage: less-changed');
+        });
+
+        it('should fail for an unknown command', async () => {
+            const cli = getCli({});
+            expect(await cli.main(['build', 'a.less'], output)).to.equal(2);
+            expect(output.lines.error[0]).to.contain('Unknown command \'build\'.');
+        });
+
+        it('should fail for an unknown option', async () => {
+            const cli = getCli({});
+            expect(await cli.main(['status', '--verbose', '*.less'], output)).to.equal(2);
+            expect(output.lines.error[0]).to.contain('Unknown option \'--verbose\'.');
+        });
+
+        it('should fail when an option has no value', async () => {
+            const cli = getCli({});
+            expect(await cli.main(['status', '*.less', '--paths'], output)).to.equal(2);
+            expect(output.lines.error[0]).to.contain('Missing value for \'--paths\'.');
+        });
+    });
+
+    describe('when checking the status of files', () => {
+        it('should report that all files are up to date', async () => {
+            const check = sinon.stub().resolves([result('a.less', false, null), result('b.less', false, null)]);
+            const cli = getCli({ check: check, globs: { '*.less': ['a.less', 'b.less'] } });
+
+            expect(await cli.main(['status', '*.less'], output)).to.equal(0);
+            expect(output.lines.log).to.deep.equal(['All 2 file(s) up to date.']);
+        });
+
+        it('should list the files that are out of date', async () => {
+            const check = sinon.stub().resolves([
+                result('a.less', true, 'dependencies-changed', [path.resolve('_vars.less')]),
+                result('b.less', false, null),
+                result('c.less', true, 'output-missing')
+            ]);
+            const cli = getCli({ check: check, globs: { '*.less': ['a.less', 'b.less', 'c.less'] } });
+
+            expect(await cli.main(['status', '*.less'], output)).to.equal(1);
+            expect(output.lines.log).to.deep.equal([
+                `a.less (dependencies-changed: _vars.less)`,
+                `c.less (output-missing)`,
+                '2 of 3 file(s) out of date.'
+            ]);
+        });
+
+        it('should pass the options through to the check', async () => {
+            const check = sinon.stub().resolves([result('a.less', false, null)]);
+            const cli = getCli({ check: check, globs: { '*.less': ['a.less'] } });
+
+            await cli.main(['status', '*.less', '--paths', 'lib', '--paths', 'vendor', '--compare', 'hash'], output);
+            expect(check).to.have.been.calledWith(['a.less'], sinon.match({ paths: ['lib', 'vendor'], compare: 'hash', logLevel: 'error' }));
+        });
+
+        it('should load the options from a config file', async () => {
+            const plugin = { install: () => {} };
+            const check = sinon.stub().resolves([result('a.less', false, null)]);
+            const cli = getCli({
+                check: check,
+                globs: { '*.less': ['a.less'] },
+                modules: { [path.resolve('less-options.js')]: { globalVars: { theme: 'dark' }, plugins: [plugin], paths: ['lib'] } }
+            });
+
+            expect(await cli.main(['status', '*.less', '--config', 'less-options.js', '--paths', 'vendor'], output)).to.equal(0);
+            const options = check.firstCall.args[1];
+            expect(options.globalVars).to.deep.equal({ theme: 'dark' });
+            expect(options.plugins).to.deep.equal([plugin]);
+            expect(options.paths).to.deep.equal(['lib', 'vendor']);
+            expect(options.config).to.be.undefined;
+        });
+
+        it('should let command line options override the config file', async () => {
+            const check = sinon.stub().resolves([result('a.less', false, null)]);
+            const cli = getCli({
+                check: check,
+                globs: { '*.less': ['a.less'] },
+                modules: { [path.resolve('less-options.js')]: { compare: 'hash', logLevel: 'warn' } }
+            });
+
+            await cli.main(['status', '*.less', '--config', 'less-options.js', '--compare', 'mtime'], output);
+            expect(check).to.have.been.calledWith(['a.less'], sinon.match({ compare: 'mtime', logLevel: 'warn' }));
+        });
+
+        it('should fail when the config file does not export an options object', async () => {
+            const cli = getCli({
+                globs: { '*.less': ['a.less'] },
+                modules: { [path.resolve('less-options.js')]: 'paths' }
+            });
+
+            expect(await cli.main(['status', '*.less', '--config', 'less-options.js'], output)).to.equal(2);
+            expect(output.lines.error).to.deep.equal(
+                ['Failed to load options from \'less-options.js\': expected a module exporting an options object.']);
+        });
+
+        it('should look for outputs in the output directory', async () => {
+            const check = sinon.stub().resolves([result('a.less', false, null)]);
+            const cli = getCli({ check: check, globs: { 'src/*.less': ['src/a.less'] } });
+
+            await cli.main(['status', 'src/*.less', '--out-dir', 'dist'], output);
+            const options = check.firstCall.args[1];
+            expect(options.outDir).to.be.undefined;
+            expect(options.getOutputFileName('src/a.less')).to.equal(path.join('dist', 'a.css'));
+        });
+
+        it('should pass excludePartials through to the check', async () => {
+            const check = sinon.stub().resolves([result('a.less', false, null)]);
+            const cli = getCli({ check: check, globs: { 'src/**/*.less': ['src/a.less', 'src/_b.less'] } });
+
+            await cli.main(['status', 'src/**/*.less', '--exclude-partials'], output);
+            expect(check).to.have.been.calledWith(['src/_b.less', 'src/a.less'], sinon.match({ excludePartials: true }));
+        });
+
+        it('should fail when no files match', async () => {
+            const cli = getCli({});
+            expect(await cli.main(['status', '*.less'], output)).to.equal(2);
+            expect(output.lines.error).to.deep.equal(['No files match *.less.']);
+        });
+
+        it('should fail when no globs are given', async () => {
+            const cli = getCli({});
+            expect(await cli.main(['status'], output)).to.equal(2);
+            expect(output.lines.error[0]).to.contain('No files given to check.');
+        });
+
+        it('should report errors from the check', async () => {
+            const check = sinon.stub().rejects(new Error('Error processing \'a.less\': bad things'));
+            const cli = getCli({ check: check, globs: { '*.less': ['a.less'] } });
+
+            expect(await cli.main(['status', '*.less'], output)).to.equal(2);
+            expect(output.lines.error).to.deep.equal(['Error processing \'a.less\': bad things']);
+        });
+    });
+
+    describe('when checking files against what a build recorded', () => {
+        let fs;
+        let stores;
+        let lessChanged;
+        let date;
+
+        beforeEach(() => {
+            date = new Date();
+            fs = new FakeFs();
+            fs.file('src/main.less', { mtime: date, content: '' });
+            fs.file('src/main.css', { mtime: date });
+            stores = {};
+            lessChanged = getLessChanged(fs, stores);
+        });
+
+        function build() {
+            return new Promise((resolve, reject) => {
+                const stream = lessChanged({ compare: 'hash', logLevel: 'silent' });
+                stream.on('data', () => {});
+                stream.on('error', reject);
+                stream.on('end', resolve);
+                stream.write(new File({ path: path.resolve('src/main.less'), stat: { mtime: date }, contents: new Buffer('') }));
+                stream.end();
+            });
+        }
+
+        it('should find the snapshots a stream recorded for the relative paths a glob gives', async () => {
+            await build();
+            fs.file('src/main.css', { mtime: new Date(date.getTime() + 1000) });
+
+            const cli = getCli({ check: lessChanged.check, fs: fs, globs: { 'src/*.less': ['src/main.less'] } });
+            expect(await cli.main(['status', 'src/*.less', '--compare', 'hash'], output)).to.equal(0);
+            expect(output.lines.log).to.deep.equal(['All 1 file(s) up to date.']);
+        });
+
+        it('should report a file whose output has not been written since it was passed through', async () => {
+            await build();
+
+            const cli = getCli({ check: lessChanged.check, fs: fs, globs: { 'src/*.less': ['src/main.less'] } });
+            expect(await cli.main(['status', 'src/*.less', '--compare', 'hash'], output)).to.equal(1);
+            expect(output.lines.log[0]).to.equal(`${path.join('src', 'main.less')} (not-built)`);
+        });
+    });
+
+    describe('when printing dependencies', () => {
+        let fs;
+
+        beforeEach(() => {
+            fs = new FakeFs();
+            fs.file('main.less', { content: '@import "a.less";' });
+        });
+
+        it('should print the dependency tree', async () => {
+            const imports = [
+                { path: 'a.less', time: 0, importedFrom: ['main.less'] },
+                { path: 'b.less', time: 0, importedFrom: ['a.less'] },
+                { path: 'c.less', time: 0, importedFrom: ['main.less'] }
+            ];
+            const cli = getCli({ fs: fs, imports: imports });
+
+            expect(await cli.main(['deps', 'main.less'], output)).to.equal(0);
+            expect(output.lines.log).to.deep.equal(['main.less', '  a.less', '    b.less', '  c.less']);
+        });
+
+        it('should mark circular imports', async () => {
+            const imports = [
+                { path: 'a.less', time: 0, importedFrom: ['main.less'] },
+                { path: 'main.less', time: 0, importedFrom: ['a.less'] }
+            ];
+            const cli = getCli({ fs: fs, imports: imports });
+
+            await cli.main(['deps', 'main.less'], output);
+            expect(output.lines.log).to.deep.equal(['main.less', '  a.less', '    main.less (circular)']);
+        });
+
+        it('should mark missing imports', async () => {
+            const imports = [
+                { path: 'a.less', time: 0, importedFrom: ['main.less'] },
+                { path: 'gone.less', time: null, importedFrom: ['a.less'], missing: true }
+            ];
+            const cli = getCli({ fs: fs, imports: imports });
+
+            await cli.main(['deps', 'main.less'], output);
+            expect(output.lines.log).to.deep.equal(['main.less', '  a.less', '    gone.less (missing)']);
+        });
+
+        it('should fail when the file cannot be read', async () => {
+            const cli = getCli({ fs: fs });
+            expect(await cli.main(['deps', 'other.less'], output)).to.equal(2);
+            expect(output.lines.error).to.have.length(1);
+        });
+
+        it('should fail when more than one file is given', async () => {
+            const cli = getCli({ fs: fs });
+            expect(await cli.main(['deps', 'main.less', 'other.less'], output)).to.equal(2);
+            expect(output.lines.error[0]).to.contain('Expected exactly one file.');
+        });
+    });
+
+    describe('when explaining why a file is out of date', () => {
+        it('should say when the file is up to date', async () => {
+            const cli = getCli({ check: sinon.stub().resolves([result('a.less', false, null)]) });
+            expect(await cli.main(['why', 'a.less'], output)).to.equal(0);
+            expect(output.lines.log).to.deep.equal(['a.less is up to date.']);
+        });
+
+        it('should list the changed dependencies', async () => {
+            const check = sinon.stub().resolves([
+                result('a.less', true, 'dependencies-changed', [path.resolve('_vars.less'), path.resolve('_mixins.less')])
+            ]);
+            const cli = getCli({ check: check });
+
+            await cli.main(['why', 'a.less'], output);
+            expect(output.lines.log).to.deep.equal([
+                'a.less is out of date because some of its dependencies have changed.',
+                '  _vars.less',
+                '  _mixins.less'
+            ]);
+        });
+
+        it('should show the expected output when it is missing', async () => {
+            const cli = getCli({ check: sinon.stub().resolves([result('a.less', true, 'output-missing')]) });
+
+            await cli.main(['why', 'a.less', '--out-dir', 'dist'], output);
+            expect(output.lines.log).to.deep.equal([
+                'a.less is out of date because its output is missing.',
+                `  expected output: ${path.join('dist', 'a.css')}`
+            ]);
+        });
+
+        it('should only show the expected outputs that are missing when a file has several', async () => {
+            const fs = new FakeFs();
+            fs.file('dist/a.css', { mtime: new Date() });
+            const cli = getCli({
+                check: sinon.stub().resolves([result('a.less', true, 'output-missing')]),
+                fs: fs,
+                modules: {
+                    [path.resolve('less-options.js')]: {
+                        getOutputFileNames: input => [path.join('dist', 'a.css'), path.join('dist', 'a.min.css')]
+                    }
+                }
+            });
+
+            await cli.main(['why', 'a.less', '--config', 'less-options.js'], output);
+            expect(output.lines.log).to.deep.equal([
+                'a.less is out of date because its output is missing.',
+                `  expected output: ${path.join('dist', 'a.min.css')}`
+            ]);
+        });
+
+        it('should show the output next to the file by default', async () => {
+            const cli = getCli({ check: sinon.stub().resolves([result('a.less', true, 'output-missing')]) });
+
+            await cli.main(['why', 'a.less'], output);
+            expect(output.lines.log[1]).to.equal('  expected output: a.css');
+        });
+    });
+});
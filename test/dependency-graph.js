@@ -0,0 +1,69 @@
+'use strict';
+
+import chai from 'chai';
+import path from 'path';
+import { buildGraph, toDot } from '../release/dependency-graph';
+
+const expect = chai.expect;
+
+describe('dependency-graph', () => {
+    describe('when building a graph', () => {
+        it('should add an edge from each importer to the imported file', () => {
+            const graph = buildGraph({
+                'main.less': [
+                    { path: '_variables.less', importedFrom: ['main.less', '_theme.less'] },
+                    { path: '_theme.less', importedFrom: ['main.less'] },
+                    { path: 'image.svg', importedFrom: ['_theme.less'] }
+                ]
+            });
+
+            expect(graph).to.deep.equal({
+                entries: [path.resolve('main.less')],
+                imports: {
+                    [path.resolve('main.less')]: [path.resolve('_theme.less'), path.resolve('_variables.less')],
+                    [path.resolve('_theme.less')]: [path.resolve('_variables.less'), path.resolve('image.svg')]
+                }
+            });
+        });
+
+        it('should attribute dependencies without a known importer to the entry', () => {
+            const graph = buildGraph({ 'main.less': [{ path: '_variables.less' }] });
+            expect(graph.imports).to.deep.equal({ [path.resolve('main.less')]: [path.resolve('_variables.less')] });
+        });
+
+        it('should merge the edges of several entries', () => {
+            const graph = buildGraph({
+                'b.less': [{ path: '_variables.less', importedFrom: ['b.less'] }],
+                'a.less': [{ path: '_variables.less', importedFrom: ['a.less'] }]
+            });
+
+            expect(graph.entries).to.deep.equal([path.resolve('a.less'), path.resolve('b.less')]);
+            expect(Object.keys(graph.imports).sort()).to.deep.equal([path.resolve('a.less'), path.resolve('b.less')]);
+        });
+
+        it('should include entries without dependencies', () => {
+            const graph = buildGraph({ 'main.less': [] });
+            expect(graph).to.deep.equal({ entries: [path.resolve('main.less')], imports: { [path.resolve('main.less')]: [] } });
+        });
+    });
+
+    describe('when converting a graph to DOT', () => {
+        it('should output entries as boxes and imports as edges', () => {
+            const dot = toDot({ entries: ['main.less'], imports: { 'main.less': ['_a.less', '_b.less'], '_a.less': ['_b.less'] } });
+            expect(dot).to.equal([
+                'digraph dependencies {',
+                '    "main.less" [shape=box];',
+                '    "_a.less" -> "_b.less";',
+                '    "main.less" -> "_a.less";',
+                '    "main.less" -> "_b.less";',
+                '}',
+                ''
+            ].join('\n'));
+        });
+
+        it('should escape quotes and backslashes in paths', () => {
+            const dot = toDot({ entries: ['c:\\styles\\"main".less'], imports: {} });
+            expect(dot).to.contain('"c:\\\\styles\\\\\\"main\\".less" [shape=box];');
+        });
+    });
+});
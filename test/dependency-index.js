@@ -0,0 +1,137 @@
+'use strict';
+
+import chai from 'chai';
+import FakeFs from 'fake-fs';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import path from 'path';
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const { Logger } = require('../release/logger');
+
+function getDependencyIndex(options) {
+    options = options || {};
+    const fsStub = options.fs || new FakeFs();
+    const mkdirpStub = options.mkdirp || ((path, done) => { done(); });
+    return proxyquire('../release/dependency-index', { 'fs': fsStub, 'mkdirp': mkdirpStub }).DependencyIndex;
+}
+
+function deps(...paths) {
+    return paths.map(p => { return { path: p } });
+}
+
+describe('dependency-index', () => {
+    describe('when creating an instance', () => {
+        it('should throw if created without an index file', () => {
+            const DependencyIndex = getDependencyIndex();
+            expect(() => new DependencyIndex()).to.throw('An index file is required.');
+        });
+    });
+
+    describe('when looking up affected entries', () => {
+        const indexFile = path.join('temp', 'dir', 'dependencies.json');
+        let fsStub;
+        let DependencyIndex;
+        let index;
+        let spyContext;
+
+        beforeEach(async () => {
+            spyContext = sinon.sandbox.create();
+            fsStub = new FakeFs();
+            fsStub.dir(path.join('temp', 'dir'));
+            DependencyIndex = getDependencyIndex({ fs: fsStub });
+            index = new DependencyIndex(indexFile);
+
+            await index.update('a.less', deps('_variables.less', '_mixins.less'));
+            await index.update('b.less', deps('_mixins.less'));
+            await index.update('c.less', deps('a.less', '_variables.less', '_mixins.less'));
+            await index.update('d.less', deps('_other.less'));
+        });
+
+        afterEach(() => {
+            spyContext.restore();
+        });
+
+        it('should return entries that depend on the changed file', async () => {
+            expect(await index.getAffectedEntries(['_variables.less'])).to.deep.equal(
+                [path.resolve('a.less'), path.resolve('c.less')]);
+        });
+
+        it('should return entries that depend on any of the changed files', async () => {
+            expect(await index.getAffectedEntries(['_mixins.less', '_other.less'])).to.deep.equal(
+                ['a.less', 'b.less', 'c.less', 'd.less'].map(p => path.resolve(p)));
+        });
+
+        it('should return a changed entry and the entries that import it', async () => {
+            expect(await index.getAffectedEntries(['a.less'])).to.deep.equal(
+                [path.resolve('a.less'), path.resolve('c.less')]);
+        });
+
+        it('should return entries that depend on another affected entry', async () => {
+            await index.update('e.less', deps('b.less'));
+            expect(await index.getAffectedEntries([path.resolve('b.less')])).to.deep.equal(
+                [path.resolve('b.less'), path.resolve('e.less')]);
+        });
+
+        it('should return no entries for an unknown file', async () => {
+            expect(await index.getAffectedEntries(['unknown.less'])).to.be.empty;
+        });
+
+        it('should use the latest dependencies of an entry', async () => {
+            await index.update('a.less', deps('_mixins.less'));
+            expect(await index.getAffectedEntries(['_variables.less'])).to.deep.equal([path.resolve('c.less')]);
+        });
+
+        it('should share the index between instances using the same index file', async () => {
+            const index2 = new DependencyIndex(indexFile);
+            expect(await index2.getAffectedEntries(['_other.less'])).to.deep.equal([path.resolve('d.less')]);
+        });
+
+        it('should load the index from disk', async () => {
+            const entries = JSON.parse(fsStub.readFileSync(indexFile));
+            const index2 = new (getDependencyIndex({ fs: fsStub }))(indexFile);
+            expect(entries[path.resolve('d.less')]).to.deep.equal([{ path: path.resolve('_other.less') }]);
+            expect(await index2.getAffectedEntries(['_other.less'])).to.deep.equal([path.resolve('d.less')]);
+        });
+
+        it('should not write the index if the dependencies have not changed', async () => {
+            spyContext.spy(fsStub, 'writeFile');
+            await index.update('b.less', deps('_mixins.less'));
+            expect(fsStub.writeFile).not.to.have.been.called;
+        });
+
+        it('should log a warning if the index cannot be written', async () => {
+            const log = spyContext.spy();
+            spyContext.stub(fsStub, 'writeFile').callsArgWith(2, new Error('Something went wrong.'));
+            await new DependencyIndex(indexFile, new Logger('warn', log)).update('b.less', deps('_variables.less'));
+            expect(log).to.have.been.calledWith(`Failed to save dependency index to '${indexFile}'. Error: Something went wrong.`, 'warn');
+        });
+
+        it('should log a warning if the index cannot be read', async () => {
+            const log = spyContext.spy();
+            spyContext.stub(fsStub, 'readFile').throws(new Error('Something went wrong.'));
+            const index2 = new (getDependencyIndex({ fs: fsStub }))(indexFile, new Logger('warn', log));
+            expect(await index2.getAffectedEntries(['_other.less'])).to.be.empty;
+            expect(log).to.have.been.calledWith(`Failed to load dependency index from '${indexFile}'. Error: Something went wrong.`, 'warn');
+        });
+    });
+
+    describe('when getting the dependency graph', () => {
+        it('should build the graph from the recorded import edges', async () => {
+            const index = new (getDependencyIndex())(path.join('temp', 'graph.json'));
+            await index.update('a.less', [{ path: '_b.less', importedFrom: ['a.less'] }, { path: '_c.less', importedFrom: ['_b.less'] }]);
+
+            expect(await index.getGraph()).to.deep.equal({
+                entries: [path.resolve('a.less')],
+                imports: {
+                    [path.resolve('a.less')]: [path.resolve('_b.less')],
+                    [path.resolve('_b.less')]: [path.resolve('_c.less')]
+                }
+            });
+        });
+    });
+});
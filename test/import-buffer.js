@@ -23,6 +23,8 @@ function getImportBuffer(options) {
     return importBuffer.ImportBuffer;
 }
 
+const { Logger } = require('../release/logger');
+
 class FakeImportLister {
     constructor(fs, files) {
         this.fs = fs;
@@ -36,8 +38,16 @@ class FakeImportLister {
     listImports(file) {
         const statAsync = Promise.promisify(this.fs.stat);
         return Promise.map(this.files, async file => {
-            const stat = await statAsync.call(this.fs, file);
-            return { path: file, time: stat.mtime.getTime() };
+            try {
+                const stat = await statAsync.call(this.fs, file);
+                return { path: file, time: stat.mtime.getTime() };
+            }
+            catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                return { path: file, time: null, missing: true };
+            }
         });
     }
 };
@@ -73,6 +83,7 @@ describe('import-buffer', () => {
         let mainFile;
         let fakeImportLister;
         let buffer;
+        let log;
 
         let spyContext;
 
@@ -93,7 +104,8 @@ describe('import-buffer', () => {
             ImportBuffer = getImportBuffer({ fs: fsStub, os: { tmpdir: () => tempDir }, mkdirp: mkdirpStub });
 
             fakeImportLister = new FakeImportLister(fsStub, ['import1.less', 'import2.less']);
-            buffer = new ImportBuffer(fakeImportLister.listImports.bind(fakeImportLister), bufferKey);
+            log = spyContext.spy();
+            buffer = new ImportBuffer(fakeImportLister.listImports.bind(fakeImportLister), bufferKey, undefined, new Logger('debug', log));
         });
 
         afterEach(() => {
@@ -116,30 +128,28 @@ describe('import-buffer', () => {
 
             const imports = await buffer.listImports(mainFile);
             expect(mkdirpStub).to.have.been.calledWith(serialiseDir, sinon.match.func);
-            const importContents = JSON.stringify(imports);
+            const importContents = JSON.stringify({ entry: { path: 'main.less', time: null, missing: true }, imports });
             expect(fsStub.writeFile).to.have.been.calledWith(tempFilePath, importContents);
         });
 
-        it('should log error to console if serialised file cannot be written', async () => {
-            spyContext.spy(console, 'error');
+        it('should log a warning if serialised file cannot be written', async () => {
             const mainFileDir = crypto.createHash('md5').update(mainFile.path).digest('hex');
             const serialiseDir = path.join(tempDir, bufferKey);
             const tempFilePath = path.join(serialiseDir, mainFileDir + '_' + path.basename(mainFile.path));
             spyContext.stub(fsStub, 'writeFile').callsArgWith(2, new Error('Something went wrong.'));
 
             const imports = await buffer.listImports(mainFile);
-            expect(console.error).to.have.been.calledWith(`Failed to cache results to '${tempFilePath}'. Error: Something went wrong.`);
+            expect(log).to.have.been.calledWith(`Failed to cache results to '${tempFilePath}'. Error: Something went wrong.`, 'warn');
         });
 
-        it('should log error to console if temporary path cannot be created', async () => {
-            spyContext.spy(console, 'error');
+        it('should log a warning if temporary path cannot be created', async () => {
             const mainFileDir = crypto.createHash('md5').update(mainFile.path).digest('hex');
             const serialiseDir = path.join(tempDir, bufferKey);
             const tempFilePath = path.join(serialiseDir, mainFileDir + '_' + path.basename(mainFile.path));
             mkdirpStub.callsArgWith(1, new Error('Something went wrong.'));
 
             const imports = await buffer.listImports(mainFile);
-            expect(console.error).to.have.been.calledWith(`Failed to cache results to '${tempFilePath}'. Error: Something went wrong.`);
+            expect(log).to.have.been.calledWith(`Failed to cache results to '${tempFilePath}'. Error: Something went wrong.`, 'warn');
         });
 
         it('should not call original importer again if modified times have not changed', async () => {
@@ -155,6 +165,18 @@ describe('import-buffer', () => {
                 { path: 'import2.less', time: date2.getTime() }]);
         });
 
+        it('should trace cache hits and re-analysis at debug level', async () => {
+            await buffer.listImports(mainFile);
+            expect(log).to.have.been.calledWith('Analysing imports for \'main.less\': no cached imports.', 'debug');
+
+            await buffer.listImports(mainFile);
+            expect(log).to.have.been.calledWith('Using cached imports for \'main.less\'.', 'debug');
+
+            fsStub.file('import2.less', { mtime: date1 });
+            await buffer.listImports(mainFile);
+            expect(log).to.have.been.calledWith('Analysing imports for \'main.less\': cached imports are out of date.', 'debug');
+        });
+
         it('should call original importer again if modified times have not changed but using instance with different buffer key', async () => {
             await buffer.listImports(mainFile);
             fakeImportLister.changeImportsTo(['import3.less', 'import4.less']);
@@ -207,7 +229,8 @@ describe('import-buffer', () => {
             const tempFilePath = path.join(serialiseDir, mainFileDir + '_' + path.basename(mainFile.path));
 
             const serialisedImports = [{ path: 'import1.less', time: date1.getTime() }, { path: 'import2.less', time: date2.getTime() }];
-            spyContext.stub(fsStub, 'readFile').callsFake((path, done) => done(null, JSON.stringify(serialisedImports)));
+            const serialisedResults = { entry: { path: 'main.less', time: null, missing: true }, imports: serialisedImports };
+            spyContext.stub(fsStub, 'readFile').callsFake((path, done) => done(null, JSON.stringify(serialisedResults)));
 
             // the importer returns different files but we shouldn't call it again because the modified times
             // haven't changed
@@ -220,15 +243,45 @@ describe('import-buffer', () => {
                 { path: 'import2.less', time: date2.getTime() }]);
         });
 
-        it('should log error to console if serialised file cannot be read', async () => {
-            spyContext.spy(console, 'error');
+        it('should call original importer again if imports were serialised without the entry', async () => {
+            const serialisedImports = [{ path: 'import1.less', time: date1.getTime() }, { path: 'import2.less', time: date2.getTime() }];
+            spyContext.stub(fsStub, 'readFile').callsFake((path, done) => done(null, JSON.stringify(serialisedImports)));
+            fakeImportLister.changeImportsTo(['import1.less']);
+
+            const imports = await buffer.listImports(mainFile);
+            expect(imports.map(i => i.path)).to.deep.equal(['import1.less']);
+        });
+
+        it('should call original importer again if the entry has been modified', async () => {
+            fsStub.file('main.less', { mtime: date1 });
+            await buffer.listImports(mainFile);
+            // an @import added to the entry changes nothing but the entry itself.
+            fakeImportLister.changeImportsTo(['import1.less', 'import2.less', 'import3.less']);
+            fsStub.file('import3.less', { mtime: date1 });
+            fsStub.file('main.less', { mtime: date2 });
+
+            const listing = await buffer.listImportChanges(mainFile);
+            expect(listing.imports.map(i => i.path)).to.deep.equal(['import1.less', 'import2.less', 'import3.less']);
+            expect(listing.changedImports).to.deep.equal(['import3.less']);
+        });
+
+        it('should not call original importer again if the entry has not been modified', async () => {
+            fsStub.file('main.less', { mtime: date1 });
+            await buffer.listImports(mainFile);
+            fakeImportLister.changeImportsTo(['import3.less']);
+
+            const imports = await buffer.listImports(mainFile);
+            expect(imports.map(i => i.path)).to.deep.equal(['import1.less', 'import2.less']);
+        });
+
+        it('should log a warning if serialised file cannot be read', async () => {
             const mainFileDir = crypto.createHash('md5').update(mainFile.path).digest('hex');
             const serialiseDir = path.join(tempDir, bufferKey);
             const tempFilePath = path.join(serialiseDir, mainFileDir + '_' + path.basename(mainFile.path));
             spyContext.stub(fsStub, 'readFile').throws(new Error('Something went wrong.'));
 
             const imports = await buffer.listImports(mainFile);
-            expect(console.error).to.have.been.calledWith(`Failed to load cached results from '${tempFilePath}'. Error: Something went wrong.`);
+            expect(log).to.have.been.calledWith(`Failed to load cached results from '${tempFilePath}'. Error: Something went wrong.`, 'warn');
         });
 
         it('should call original importer again if import file is missing', async () => {
@@ -247,23 +300,75 @@ describe('import-buffer', () => {
                 { path: 'import4.less', time: date2.getTime() }]);
         });
 
-        it('should return no imports if unknown error occurs', async () => {
-            var fakeError = new Error('test');
-            fakeError.code = 'SOMEERR';
-            spyContext.stub(fsStub, 'stat').throws(fakeError);
+        it('should not call original importer again if a missing import is still missing', async () => {
+            fakeImportLister.changeImportsTo(['import1.less', 'missing.less']);
+            await buffer.listImports(mainFile);
+            fakeImportLister.changeImportsTo(['import3.less']);
+
+            const imports = await buffer.listImports(mainFile);
+            expect(imports.map(i => i.path)).to.deep.equal(['import1.less', 'missing.less']);
+            expect(imports[1].missing).to.be.true;
+        });
+
+        it('should call original importer again if a missing import has been created', async () => {
+            fakeImportLister.changeImportsTo(['import1.less', 'missing.less']);
+            await buffer.listImports(mainFile);
+            fsStub.file('missing.less', { mtime: date1 });
 
             const imports = await buffer.listImports(mainFile);
-            expect(imports).to.be.empty;
+            expect(imports[1]).to.deep.equal({ path: 'missing.less', time: date1.getTime() });
+        });
+
+        it('should not report changed imports when listing imports for the first time', async () => {
+            const listing = await buffer.listImportChanges(mainFile);
+            expect(listing.imports.map(i => i.path)).to.deep.equal(['import1.less', 'import2.less']);
+            expect(listing.changedImports).to.be.empty;
+        });
+
+        it('should report imports that have been removed or added since the last listing', async () => {
+            await buffer.listImportChanges(mainFile);
+            fakeImportLister.changeImportsTo(['import1.less', 'import3.less']);
+            fsStub.file('import3.less', { mtime: date1 });
+            fsStub.unlink('import2.less');
+
+            const listing = await buffer.listImportChanges(mainFile);
+            expect(listing.changedImports).to.deep.equal(['import2.less', 'import3.less']);
         });
 
-        it('should log error if unknown error occurs', async () => {
+        it('should not report changed imports if only modified times have changed', async () => {
+            await buffer.listImportChanges(mainFile);
+            fsStub.file('import2.less', { mtime: date1 });
+
+            const listing = await buffer.listImportChanges(mainFile);
+            expect(listing.changedImports).to.be.empty;
+        });
+
+        it('should report an import that is now missing as removed', async () => {
+            await buffer.listImportChanges(mainFile);
+            fsStub.unlink('import2.less');
+
+            const listing = await buffer.listImportChanges(mainFile);
+            expect(listing.changedImports).to.deep.equal(['import2.less']);
+        });
+
+        it('should keep reporting changed imports if the buffer is read-only', async () => {
+            await buffer.listImportChanges(mainFile);
+            fakeImportLister.changeImportsTo(['import1.less']);
+            fsStub.unlink('import2.less');
+
+            const readOnlyBuffer = new ImportBuffer(fakeImportLister.listImports.bind(fakeImportLister), bufferKey, null, new Logger('silent'), true);
+            expect((await readOnlyBuffer.listImportChanges(mainFile)).changedImports).to.deep.equal(['import2.less']);
+            expect((await buffer.listImportChanges(mainFile)).changedImports).to.deep.equal(['import2.less']);
+        });
+
+        it('should reject with the error if unknown error occurs', async () => {
             const fakeError = new Error('test');
             fakeError.code = 'SOMEERR';
             spyContext.stub(fsStub, 'stat').throws(fakeError);
-            spyContext.spy(console, 'error');
 
-            const imports = await buffer.listImports(mainFile);
-            expect(console.error).to.have.been.calledWith('An unknown error occurred: Error: test');
+            let rejection;
+            await buffer.listImports(mainFile).catch(error => rejection = error);
+            expect(rejection).to.equal(fakeError);
         });
 
         it('should not cache results if unknown error occurs', async () => {
@@ -271,13 +376,60 @@ describe('import-buffer', () => {
             fakeError.code = 'SOMEERR';
             const newSpyContext = sinon.sandbox.create();
             newSpyContext.stub(fsStub, 'stat').throws(fakeError);
-            newSpyContext.spy(console, 'error');
 
-            let imports = await buffer.listImports(mainFile);
+            await buffer.listImports(mainFile).catch(() => {});
             newSpyContext.restore();
 
-            imports = await buffer.listImports(mainFile)
+            const imports = await buffer.listImports(mainFile)
             expect(imports).not.to.be.empty;
         });
     });
+
+    describe('when a dependency index is provided', () => {
+        let ImportBuffer;
+        let fsStub;
+        let mainFile;
+        let dependencyIndex;
+        let fakeImportLister;
+
+        beforeEach(() => {
+            fsStub = new FakeFs();
+            fsStub.file('import1.less', { mtime: new Date() });
+            fsStub.file('import2.less', { mtime: new Date() });
+
+            mainFile = new File({ path: 'main.less' });
+            dependencyIndex = { update: sinon.stub().returns(Promise.resolve()) };
+
+            ImportBuffer = getImportBuffer({ fs: fsStub });
+            fakeImportLister = new FakeImportLister(fsStub, ['import1.less', 'import2.less']);
+        });
+
+        it('should update the index with the listed imports', async () => {
+            const buffer = new ImportBuffer(fakeImportLister.listImports.bind(fakeImportLister), 'indexkey1', dependencyIndex);
+            await buffer.listImports(mainFile);
+            expect(dependencyIndex.update).to.have.been.calledWith('main.less', [
+                sinon.match({ path: 'import1.less' }), sinon.match({ path: 'import2.less' })]);
+        });
+
+        it('should update the index with cached imports', async () => {
+            const buffer = new ImportBuffer(fakeImportLister.listImports.bind(fakeImportLister), 'indexkey2', dependencyIndex);
+            await buffer.listImports(mainFile);
+            dependencyIndex.update.reset();
+
+            await buffer.listImports(mainFile);
+            expect(dependencyIndex.update).to.have.been.calledWith('main.less', [
+                sinon.match({ path: 'import1.less' }), sinon.match({ path: 'import2.less' })]);
+        });
+
+        it('should not update the index if an unknown error occurs', async () => {
+            const fakeError = new Error('test');
+            fakeError.code = 'SOMEERR';
+            sinon.stub(fsStub, 'stat').throws(fakeError);
+
+            const buffer = new ImportBuffer(fakeImportLister.listImports.bind(fakeImportLister), 'indexkey3', dependencyIndex, new Logger('silent'));
+            await buffer.listImports(mainFile).catch(() => {});
+
+            expect(dependencyIndex.update).not.to.have.been.called;
+        });
+    });
 });
\ No newline at end of file
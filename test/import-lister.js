@@ -21,6 +21,8 @@ chai.use(chaiAsPromised);
 
 const expect = chai.expect;
 
+const { Logger } = require('../release/logger');
+
 function getImportLister(options) {
     options = options || {};
 
@@ -101,6 +103,13 @@ describe('import-lister', () => {
         it('should throw an error', async () => {
             await expect(importLister.listImports(fakeFile)).to.eventually.be.rejectedWith(/Failed to process imports for '/);
         });
+
+        it('should leave logging the error to the caller', async () => {
+            const log = sinon.spy();
+            const loggingImportLister = new (getImportLister())(undefined, new Logger('debug', log));
+            await expect(loggingImportLister.listImports(fakeFile)).to.eventually.be.rejected;
+            expect(log).not.to.have.been.calledWith(sinon.match.any, 'error');
+        });
     });
 
     describe('when passing in a file with an import', () => {
@@ -134,6 +143,20 @@ describe('import-lister', () => {
         });
     });
 
+    describe('when passing in a file with nested imports', () => {
+        const filePath = './test/list-imports-cases/file-with-recursive-imports/file.less';
+        it('should return the file that imported each import', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            const importedFrom = {};
+            importList.forEach(i => importedFrom[path.basename(i.path)] = i.importedFrom.map(x => path.basename(x)));
+            expect(importedFrom).to.deep.equal({
+                'import1.less': ['file.less'],
+                'import2.less': ['import1.less']
+            });
+        });
+    });
+
     describe('when passing in a file with a data-uri', () => {
         const filePath = './test/list-imports-cases/file-with-data-uri/file.less';
         it('should return the referenced image as an import', async () => {
@@ -206,7 +229,8 @@ describe('import-lister', () => {
             const pathResolver = {
                 PathResolver: function () {
                     return resolverFunction;
-                }
+                },
+                PathResolverError: class PathResolverError extends Error { }
             };
 
             sinon.spy(resolverFunction, 'resolve');
@@ -216,7 +240,7 @@ describe('import-lister', () => {
             await expect(importLister.listImports(f)).to.eventually.be.rejectedWith(Error, /Some error/);
         });
 
-        it('should not return import if the import file does not exist', async () => {
+        it('should return import flagged as missing if the import file does not exist', async () => {
             const resolverFunction = {
                 resolve: function () {
                     return Promise.resolve(filePath);
@@ -230,13 +254,14 @@ describe('import-lister', () => {
             };
 
             sinon.spy(resolverFunction, 'resolve');
-            sinon.spy(console, 'error');
-            importLister = new (getImportLister({ pathResolver: pathResolver, fs: new FakeFs() }));
+            const log = sinon.spy();
+            importLister = new (getImportLister({ pathResolver: pathResolver, fs: new FakeFs() }))(undefined, new Logger('debug', log));
 
             const f = await readFile(new File({ path: filePath }));
             const imports = await importLister.listImports(f);
-            expect(imports).to.be.empty;
-            expect(console.error).to.have.been.calledWith(`Import '${filePath}' not found.`);
+            expect(imports).to.have.length(1);
+            expect(imports[0]).to.include({ path: filePath, time: null, missing: true });
+            expect(log).to.have.been.calledWith(`Import '${filePath}' not found.`, 'warn');
         });
 
         it('should propagate unknown error during file resolution', async () => {
@@ -290,6 +315,173 @@ describe('import-lister', () => {
         });
     });
 
+    describe('when passing in a file with plugins', () => {
+        const filePath = './test/list-imports-cases/file-with-plugin/file.less';
+        it('should return the plugins as imports', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(importList.map(x => x.path).sort().map(x => x.split(path.sep).join('!'))).to.deep.equal([
+                'test!list-imports-cases!file-with-plugin!import.less',
+                'test!list-imports-cases!file-with-plugin!nested-plugin.js',
+                'test!list-imports-cases!file-with-plugin!plugin.js']);
+        });
+
+        it('should return the file that used each plugin', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            const importedFrom = {};
+            importList.forEach(i => importedFrom[path.basename(i.path)] = i.importedFrom.map(x => path.basename(x)));
+            expect(importedFrom).to.deep.include({
+                'plugin.js': ['file.less'],
+                'nested-plugin.js': ['import.less']
+            });
+        });
+
+        it('should use the path resolver to resolve the plugins', async () => {
+            const resolverFunction = {
+                resolve: function () {
+                    return Promise.reject(new Error('Not expected'));
+                },
+                resolvePlugin: function (directory, pluginName) {
+                    return Promise.resolve(`some/path/${pluginName}.js`);
+                }
+            };
+
+            const pathResolver = {
+                PathResolver: function () {
+                    return resolverFunction;
+                }
+            };
+
+            sinon.spy(resolverFunction, 'resolvePlugin');
+            importLister = new (getImportLister({ pathResolver: pathResolver }))({ paths: ['pathA'] }, new Logger('silent'));
+
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+
+            expect(resolverFunction.resolvePlugin).to.have.been.calledWith(
+                path.normalize('./test/list-imports-cases/file-with-plugin/'), 'plugin', ['pathA']);
+            expect(resolverFunction.resolvePlugin).to.have.been.calledWith(
+                path.normalize('test/list-imports-cases/file-with-plugin/'), 'nested-plugin', ['pathA']);
+            const plugin = importList.filter(i => i.path === 'some/path/plugin.js')[0];
+            expect(plugin).to.include({ time: null, missing: true });
+        });
+    });
+
+    describe('when passing in a file with urls', () => {
+        const filePath = './test/list-imports-cases/file-with-url/file.less';
+
+        function getPaths(importList) {
+            return importList.map(x => x.path).sort().map(x => x.split(path.sep).join('!'));
+        }
+
+        it('should not return the urls by default', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal(['test!list-imports-cases!file-with-url!import.less']);
+        });
+
+        it('should return the local urls that can be found when tracking urls', async () => {
+            const log = sinon.spy();
+            importLister = new (getImportLister())({ trackUrls: true }, new Logger('debug', log));
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal([
+                'test!list-imports-cases!file-with-url!fonts!font.woff2',
+                'test!list-imports-cases!file-with-url!images!a.png',
+                'test!list-imports-cases!file-with-url!images!b.svg',
+                'test!list-imports-cases!file-with-url!import.less']);
+            expect(log).to.have.been.calledWith(sinon.match(/^Not tracking url 'missing.png' in '.*file.less': /), 'debug');
+        });
+
+        it('should return the file that used each url', async () => {
+            importLister = new (getImportLister())({ trackUrls: true }, new Logger('silent'));
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            const importedFrom = {};
+            importList.forEach(i => importedFrom[path.basename(i.path)] = i.importedFrom.map(x => path.basename(x)));
+            expect(importedFrom).to.deep.include({ 'a.png': ['file.less'], 'b.svg': ['import.less'] });
+        });
+
+        it('should only return the urls matching a glob', async () => {
+            importLister = new (getImportLister())({ trackUrls: '*.{png,svg}' }, new Logger('silent'));
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal([
+                'test!list-imports-cases!file-with-url!images!a.png',
+                'test!list-imports-cases!file-with-url!images!b.svg',
+                'test!list-imports-cases!file-with-url!import.less']);
+        });
+
+        it('should not return the urls matching an excluding glob', async () => {
+            importLister = new (getImportLister())({ trackUrls: ['images/**', '!*.svg'] }, new Logger('silent'));
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal([
+                'test!list-imports-cases!file-with-url!images!a.png',
+                'test!list-imports-cases!file-with-url!import.less']);
+        });
+
+        it('should pass provided paths to the path resolver', async () => {
+            const resolverFunction = {
+                resolve: function (directory, relativePath) {
+                    return Promise.resolve(relativePath);
+                }
+            };
+
+            const pathResolver = {
+                PathResolver: function () {
+                    return resolverFunction;
+                },
+                PathResolverError: Error
+            };
+
+            sinon.spy(resolverFunction, 'resolve');
+            importLister = new (getImportLister({ pathResolver: pathResolver }))({ trackUrls: 'images/a.png', paths: ['pathA'] }, new Logger('silent'));
+
+            const f = await readFile(new File({ path: filePath }));
+            await importLister.listImports(f);
+            expect(resolverFunction.resolve).to.have.been.calledOnce;
+            expect(resolverFunction.resolve).to.have.been.calledWith(
+                path.normalize('./test/list-imports-cases/file-with-url/'), 'images/a.png', ['pathA']);
+        });
+    });
+
+    describe('when passing in a file with functions that read files', () => {
+        const filePath = './test/list-imports-cases/file-with-image-functions/file.less';
+
+        function getFileNames(importList) {
+            return importList.map(x => path.basename(x.path)).sort();
+        }
+
+        it('should return the files read by the built-in image functions', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getFileNames(importList)).to.deep.equal(['height.svg', 'size.svg', 'width.svg']);
+        });
+
+        it('should return the files read by registered functions', async () => {
+            importLister = new (getImportLister())({ fileFunctions: { 'inline-svg': 1 } });
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getFileNames(importList)).to.deep.equal(['custom.svg', 'height.svg', 'size.svg', 'width.svg']);
+        });
+
+        it('should not return the files read by built-in functions that have been turned off', async () => {
+            importLister = new (getImportLister())({ fileFunctions: { 'image-size': null } });
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getFileNames(importList)).to.deep.equal(['height.svg', 'width.svg']);
+        });
+
+        it('should not return anything for an argument that doesn\'t exist', async () => {
+            importLister = new (getImportLister())({ fileFunctions: { 'inline-svg': 2 } });
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getFileNames(importList)).to.deep.equal(['height.svg', 'size.svg', 'width.svg']);
+        });
+    });
+
     describe('when passing in a file with a data-uri with MIME type and import by reference', () => {
         const filePath = './test/list-imports-cases/file-with-data-uri-mime-type/file.less';
         it('should return the referenced image and file as imports', async () => {
@@ -301,15 +493,26 @@ describe('import-lister', () => {
         });
     });
 
+    describe('when passing in a file with a data-uri in an imported file', () => {
+        it('should return the imported file as the importer of the data-uri file', async () => {
+            const filePath = './test/list-imports-cases/file-with-data-uri-mime-type/file.less';
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            const image = importList.filter(i => path.basename(i.path) === 'image.svg')[0];
+            expect(image.importedFrom.map(x => path.basename(x))).to.deep.equal(['x.less']);
+        });
+    });
+
     describe('when passing in a file with a data-uri with a variable', () => {
         const filePath = './test/list-imports-cases/file-with-data-uri-variable/file.less';
-        it('should return no imports', async () => {
+        it('should return the referenced image as an import', async () => {
             const f = await readFile(new File({ path: filePath }));
             const importList = await importLister.listImports(f);
-            expect(importList).to.be.empty;
+            expect(importList.map(x => x.path.split(path.sep).join('!'))).to.deep.equal([
+                'test!list-imports-cases!file-with-data-uri-variable!image.svg']);
         });
 
-        it('should not use the path resolver', async () => {
+        it('should use the path resolver to resolve the value of the variable', async () => {
             const resolvedPath = 'some/path/image.svg';
             const resolverFunction = {
                 resolve: function () {
@@ -331,20 +534,25 @@ describe('import-lister', () => {
 
             const f = await readFile(new File({ path: filePath }));
             const importList = await importLister.listImports(f);
-            expect(importList).to.be.empty;
-            expect(resolverFunction.resolve).not.to.have.been.called;
+            expect(importList.map(x => x.path)).to.deep.equal([resolvedPath]);
+            expect(resolverFunction.resolve).to.have.been.calledWith(
+                path.normalize('./test/list-imports-cases/file-with-data-uri-variable/'), 'image.svg');
         });
     });
 
     describe('when passing in a file with a data-uri with an interpolated variable', () => {
         const filePath = './test/list-imports-cases/file-with-data-uri-interpolated-variable/file.less';
-        it('should return no imports', async () => {
+        it('should return the interpolated path flagged as missing if it does not exist', async () => {
+            importLister = new (getImportLister())(undefined, new Logger('silent'));
             const f = await readFile(new File({ path: filePath }));
             const importList = await importLister.listImports(f);
-            expect(importList).to.be.empty;
+            expect(importList).to.have.length(1);
+            expect(importList[0].path.split(path.sep).join('!')).to.equal(
+                'test!list-imports-cases!file-with-data-uri-interpolated-variable!image.svg-123');
+            expect(importList[0]).to.include({ time: null, missing: true });
         });
 
-        it('should not use the path resolver', async () => {
+        it('should use the path resolver to resolve the interpolated path', async () => {
             const resolvedPath = 'some/path/image.svg';
             const resolverFunction = {
                 resolve: function () {
@@ -366,8 +574,239 @@ describe('import-lister', () => {
 
             const f = await readFile(new File({ path: filePath }));
             const importList = await importLister.listImports(f);
-            expect(importList).to.be.empty;
-            expect(resolverFunction.resolve).not.to.have.been.called;
+            expect(importList.map(x => x.path)).to.deep.equal([resolvedPath]);
+            expect(resolverFunction.resolve).to.have.been.calledWith(
+                path.normalize('./test/list-imports-cases/file-with-data-uri-interpolated-variable/'), 'image.svg-123');
+        });
+    });
+
+    describe('when passing in a file with a data-uri in a file in another directory', () => {
+        const filePath = './test/list-imports-cases/file-with-data-uri-relative-urls/file.less';
+
+        function getImage(importList) {
+            return importList.filter(i => path.basename(i.path) === 'icon.svg')[0];
+        }
+
+        it('should resolve the image relative to the entry file by default', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const image = getImage(await importLister.listImports(f));
+            expect(image.path.split(path.sep).join('!')).to.equal('test!list-imports-cases!file-with-data-uri-relative-urls!icon.svg');
+        });
+
+        it('should resolve the image relative to the file containing the data-uri when rewriting relative urls', async () => {
+            importLister = new (getImportLister())({ relativeUrls: true });
+            const f = await readFile(new File({ path: filePath }));
+            const image = getImage(await importLister.listImports(f));
+            expect(image.path.split(path.sep).join('!')).to.equal(
+                'test!list-imports-cases!file-with-data-uri-relative-urls!components!icon.svg');
+        });
+
+        it('should return the file containing the data-uri as the importer', async () => {
+            importLister = new (getImportLister())({ relativeUrls: true });
+            const f = await readFile(new File({ path: filePath }));
+            const image = getImage(await importLister.listImports(f));
+            expect(image.importedFrom.map(x => x.split(path.sep).join('!'))).to.deep.equal([
+                'test!list-imports-cases!file-with-data-uri-relative-urls!components!button.less']);
+        });
+
+        it('should resolve the image relative to the file containing the data-uri when a rootpath is also given', async () => {
+            importLister = new (getImportLister())({ relativeUrls: true, rootpath: 'http://cdn.example.com/' });
+            const f = await readFile(new File({ path: filePath }));
+            const image = getImage(await importLister.listImports(f));
+            expect(image.path.split(path.sep).join('!')).to.equal(
+                'test!list-imports-cases!file-with-data-uri-relative-urls!components!icon.svg');
+        });
+    });
+
+    describe('when passing in a file with a data-uri in a mixin', () => {
+        const filePath = './test/list-imports-cases/file-with-data-uri-mixin/file.less';
+        it('should return the image for each call of the mixin', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(importList.map(x => x.path).sort().map(x => x.split(path.sep).join('!'))).to.deep.equal([
+                'test!list-imports-cases!file-with-data-uri-mixin!icons!arrow.svg',
+                'test!list-imports-cases!file-with-data-uri-mixin!icons!close.svg']);
+        });
+    });
+
+    describe('when passing in a file with a data-uri that can\'t be found', () => {
+        it('should return the image flagged as missing', async () => {
+            importLister = new (getImportLister())(undefined, new Logger('silent'));
+            const importList = await importLister.listImports(
+                new File({ path: 'something.less', contents: new Buffer('.a { background: data-uri(\'missing.svg\'); }') }));
+            expect(importList).to.have.length(1);
+            expect(importList[0]).to.include({ path: 'missing.svg', time: null, missing: true });
+        });
+    });
+
+    describe('when passing in a file that imports from node_modules', () => {
+        const filePath = './test/list-imports-cases/file-with-module-imports/file.less';
+        const expectedPaths = [
+            'test!list-imports-cases!file-with-module-imports!node_modules!@scope!icons!index.less',
+            'test!list-imports-cases!file-with-module-imports!node_modules!theme!images!logo.svg',
+            'test!list-imports-cases!file-with-module-imports!node_modules!theme!less!theme.less',
+            'test!list-imports-cases!file-with-module-imports!node_modules!theme!less!variables.less'
+        ];
+
+        function getPaths(importList) {
+            return importList.map(x => path.relative(process.cwd(), x.path)).sort().map(x => x.split(path.sep).join('!'));
+        }
+
+        it('should return the imports and data-uri files found in node_modules', async () => {
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal(expectedPaths);
+        });
+
+        it('should return the imports found in node_modules when parsing', async () => {
+            importLister = new (getImportLister())({ analyzer: 'parse' });
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal(expectedPaths);
+        });
+
+        it('should throw an error if a package can\'t be found', async () => {
+            const f = new File({ path: filePath, contents: new Buffer('@import "~missing/variables";') });
+            await expect(importLister.listImports(f)).to.eventually.be.rejectedWith(/Import file '~missing\/variables.less' wasn't found/);
+        });
+    });
+
+    describe('when passing in a file that uses aliases', () => {
+        const filePath = './test/list-imports-cases/file-with-aliases/file.less';
+        const aliases = {
+            '@theme': path.join('test', 'list-imports-cases', 'file-with-aliases', 'theme'),
+            '@icons': path.join('test', 'list-imports-cases', 'file-with-aliases', 'icons', 'index.less')
+        };
+        const expectedPaths = [
+            'test!list-imports-cases!file-with-aliases!icons!index.less',
+            'test!list-imports-cases!file-with-aliases!theme!colors.less',
+            'test!list-imports-cases!file-with-aliases!theme!images!logo.svg'
+        ];
+
+        function getPaths(importList) {
+            return importList.map(x => x.path).sort().map(x => x.split(path.sep).join('!'));
+        }
+
+        it('should return the aliased imports and data-uri files', async () => {
+            importLister = new (getImportLister())({ aliases: aliases });
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal(expectedPaths);
+        });
+
+        it('should return the aliased imports when parsing', async () => {
+            importLister = new (getImportLister())({ aliases: aliases, analyzer: 'parse' });
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await importLister.listImports(f);
+            expect(getPaths(importList)).to.deep.equal(expectedPaths);
+        });
+
+        it('should throw an error if an aliased import can\'t be found', async () => {
+            importLister = new (getImportLister())({ aliases: { '@theme': 'nowhere' } });
+            const f = new File({ path: filePath, contents: new Buffer('@import "@theme/colors";') });
+            await expect(importLister.listImports(f)).to.eventually.be.rejectedWith(/Import file '@theme\/colors.less' wasn't found/);
+        });
+    });
+
+    describe('when analysing imports by parsing', () => {
+        let lessSpy;
+        let log;
+
+        beforeEach(() => {
+            const realLess = require('less');
+            lessSpy = {
+                render: sinon.spy((input, options) => realLess.render(input, options)),
+                parse: sinon.spy((input, options, callback) => realLess.parse(input, options, callback))
+            };
+            log = sinon.spy();
+        });
+
+        function getParsingImportLister(options) {
+            return new (getImportLister({ less: lessSpy }))(Object.assign({ analyzer: 'parse' }, options), new Logger('debug', log));
+        }
+
+        function getPaths(importList) {
+            return importList.map(x => x.path).sort().map(x => x.split(path.sep).join('!'));
+        }
+
+        it('should not pass the trackUrls option on to less', async () => {
+            const f = await readFile(new File({ path: './test/list-imports-cases/file-with-recursive-imports/file.less' }));
+            await getParsingImportLister({ trackUrls: true }).listImports(f);
+            expect(lessSpy.parse.firstCall.args[1]).not.to.have.property('trackUrls');
+        });
+
+        it('should not pass the fileFunctions option on to less', async () => {
+            const f = await readFile(new File({ path: './test/list-imports-cases/file-with-recursive-imports/file.less' }));
+            await getParsingImportLister({ fileFunctions: { 'image-size': null } }).listImports(f);
+            expect(lessSpy.parse.firstCall.args[1]).not.to.have.property('fileFunctions');
+        });
+
+        it('should return the imports without rendering', async () => {
+            const f = await readFile(new File({ path: './test/list-imports-cases/file-with-recursive-imports/file.less' }));
+            const importList = await getParsingImportLister().listImports(f);
+            expect(getPaths(importList)).to.deep.equal([
+                'test!list-imports-cases!file-with-recursive-imports!import1.less',
+                'test!list-imports-cases!file-with-recursive-imports!import2.less'
+            ]);
+            expect(lessSpy.parse).to.have.been.calledOnce;
+            expect(lessSpy.render).not.to.have.been.called;
+        });
+
+        it('should return the file that imported each import', async () => {
+            const f = await readFile(new File({ path: './test/list-imports-cases/file-with-recursive-imports/file.less' }));
+            const importList = await getParsingImportLister().listImports(f);
+            const importedFrom = {};
+            importList.forEach(i => importedFrom[path.basename(i.path)] = i.importedFrom.map(x => path.basename(x)));
+            expect(importedFrom).to.deep.equal({
+                'import1.less': ['file.less'],
+                'import2.less': ['import1.less']
+            });
+        });
+
+        it('should return data-uri files and plugins', async () => {
+            const dataUriFile = await readFile(new File({ path: './test/list-imports-cases/file-with-data-uri-mime-type/file.less' }));
+            const pluginFile = await readFile(new File({ path: './test/list-imports-cases/file-with-plugin/file.less' }));
+            const importLister = getParsingImportLister();
+            expect(getPaths(await importLister.listImports(dataUriFile))).to.deep.equal([
+                'test!list-imports-cases!file-with-data-uri-mime-type!image.svg',
+                'test!list-imports-cases!file-with-data-uri-mime-type!x.less']);
+            expect(getPaths(await importLister.listImports(pluginFile))).to.deep.equal([
+                'test!list-imports-cases!file-with-plugin!import.less',
+                'test!list-imports-cases!file-with-plugin!nested-plugin.js',
+                'test!list-imports-cases!file-with-plugin!plugin.js']);
+            expect(lessSpy.render).not.to.have.been.called;
+        });
+
+        it('should return urls when tracking urls', async () => {
+            const f = await readFile(new File({ path: './test/list-imports-cases/file-with-url/file.less' }));
+            const importList = await getParsingImportLister({ trackUrls: '*.png' }).listImports(f);
+            expect(getPaths(importList)).to.deep.equal([
+                'test!list-imports-cases!file-with-url!images!a.png',
+                'test!list-imports-cases!file-with-url!import.less']);
+            expect(lessSpy.render).not.to.have.been.called;
+        });
+
+        it('should render the file when a data-uri path depends on a variable', async () => {
+            const filePath = './test/list-imports-cases/file-with-data-uri-variable/file.less';
+            const f = await readFile(new File({ path: filePath }));
+            const importList = await getParsingImportLister().listImports(f);
+            expect(getPaths(importList)).to.deep.equal(['test!list-imports-cases!file-with-data-uri-variable!image.svg']);
+            expect(lessSpy.render).to.have.been.calledOnce;
+            expect(log).to.have.been.calledWith(
+                `Rendering '${path.normalize(filePath)}' to analyse its imports: some paths depend on variables.`, 'debug');
+        });
+
+        it('should return imports whose paths depend on variables without rendering', async () => {
+            const f = await readFile(new File({ path: './test/list-imports-cases/file-with-variable-import/file.less' }));
+            const importList = await getParsingImportLister().listImports(f);
+            expect(getPaths(importList)).to.deep.equal(['test!list-imports-cases!file-with-variable-import!import.less']);
+            expect(lessSpy.render).not.to.have.been.called;
+        });
+
+        it('should throw an error if the file can\'t be parsed', async () => {
+            const f = new File({ path: 'something.less', contents: new Buffer('.a { color: red;') });
+            await expect(getParsingImportLister().listImports(f)).to.eventually.be.rejectedWith(/Failed to process imports for 'something.less'/);
+            expect(lessSpy.render).not.to.have.been.called;
         });
     });
 
@@ -0,0 +1,3 @@
+functions.add('triple', function (value) {
+    return new tree.Dimension(value.value * 3, value.unit);
+});
@@ -0,0 +1,3 @@
+functions.add('double', function (value) {
+    return new tree.Dimension(value.value * 2, value.unit);
+});
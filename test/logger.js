@@ -0,0 +1,79 @@
+'use strict';
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import gutil from 'gulp-util';
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+function getLoggerModule() {
+    return proxyquire('../release/logger', {});
+}
+
+describe('logger', () => {
+    describe('when checking log levels', () => {
+        it('should accept known log levels', () => {
+            const { isLogLevel } = getLoggerModule();
+            ['silent', 'error', 'warn', 'info', 'debug'].forEach(level => expect(isLogLevel(level)).to.be.true);
+        });
+
+        it('should reject unknown log levels', () => {
+            const { isLogLevel } = getLoggerModule();
+            expect(isLogLevel('verbose')).to.be.false;
+        });
+    });
+
+    describe('when logging', () => {
+        let Logger;
+        let log;
+
+        beforeEach(() => {
+            Logger = getLoggerModule().Logger;
+            log = sinon.spy();
+        });
+
+        it('should log messages at or below the log level', () => {
+            const logger = new Logger('warn', log);
+            logger.error('an error');
+            logger.warn('a warning');
+            expect(log).to.have.been.calledWith('an error', 'error');
+            expect(log).to.have.been.calledWith('a warning', 'warn');
+        });
+
+        it('should not log messages above the log level', () => {
+            const logger = new Logger('warn', log);
+            logger.info('some info');
+            logger.debug('some detail');
+            expect(log).not.to.have.been.called;
+        });
+
+        it('should not log anything when silent', () => {
+            const logger = new Logger('silent', log);
+            logger.error('an error');
+            expect(log).not.to.have.been.called;
+        });
+
+        it('should log everything but debug messages by default', () => {
+            const logger = new Logger(undefined, log);
+            logger.info('some info');
+            logger.debug('some detail');
+            expect(log).to.have.been.calledOnce;
+            expect(log).to.have.been.calledWith('some info', 'info');
+        });
+
+        it('should use gulp-util to log by default', () => {
+            const stub = sinon.stub(gutil, 'log');
+            try {
+                new Logger('info').info('some info');
+                expect(stub).to.have.been.calledWith('gulp-less-changed: some info');
+            }
+            finally {
+                stub.restore();
+            }
+        });
+    });
+});
@@ -5,6 +5,9 @@ import FakeFs from 'fake-fs';
 import streamAssert from 'stream-assert';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
+import crypto from 'crypto';
+import path from 'path';
+import gutil from 'gulp-util';
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 
 const expect = chai.expect;
@@ -27,15 +30,68 @@ function getLessChanged(options) {
             return {
                 listImports: function (file) {
                     return lister(file);
+                },
+                listImportChanges: function (file) {
+                    return lister(file).then(imports => { return { imports: imports, changedImports: [] } });
                 }
             }
         }
     };
 
-    const lessChanged = proxyquire('../release/main', { './import-lister': listImportsStub, './import-buffer': importBufferStub, 'fs': fsStub });
+    const proxies = {
+        './import-lister': listImportsStub,
+        './import-buffer': importBufferStub,
+        './snapshot-store': options.snapshotStore || getFakeSnapshotStore({}),
+        'less': options.less || fakeLess,
+        'fs': fsStub
+    };
+    if (options.dependencyIndex) {
+        proxies['./dependency-index'] = options.dependencyIndex;
+    }
+    if (options.os) {
+        proxies['os'] = options.os;
+    }
+    if (options.mkdirp) {
+        proxies['mkdirp'] = options.mkdirp;
+    }
+
+    const lessChanged = proxyquire('../release/main', proxies);
     return lessChanged;
 }
 
+const fakeLess = { version: [2, 7, 3] };
+
+function md5(content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+}
+
+function fingerprint(lessOptions, plugins) {
+    return md5(JSON.stringify({ version: fakeLess.version, options: lessOptions || {}, plugins: plugins || [] }));
+}
+
+function getFakeStore(snapshots) {
+    return {
+        get: entryPath => Promise.resolve(snapshots[entryPath] || null),
+        set: (entryPath, snapshot) => {
+            snapshots[entryPath] = snapshot;
+            return Promise.resolve();
+        }
+    };
+}
+
+function getFakeSnapshotStore(snapshots, storeFiles, pendingSnapshots) {
+    const store = getFakeStore(snapshots);
+    const pendingStore = getFakeStore(pendingSnapshots || {});
+    return {
+        SnapshotStore: function (storeFile) {
+            if (storeFiles) {
+                storeFiles.push(storeFile);
+            }
+            return path.basename(storeFile) === 'pending-snapshots.json' ? pendingStore : store;
+        }
+    };
+}
+
 describe('gulp-less-changed', () => {
 
     describe('when passing in an unresolved file', () => {
@@ -370,6 +426,86 @@ describe('gulp-less-changed', () => {
         });
     });
 
+    describe('when multiple output file names are provided', () => {
+        let olderDate;
+        let middleDate;
+        let newerDate;
+        let fs;
+        let lessChanged;
+        let fakeFile;
+
+        const getOutputFileNames = input => [input.replace('.less', '.css'), input.replace('.less', '.css.map'), input.replace('.less', '.min.css')];
+
+        beforeEach(() => {
+            olderDate = new Date();
+            middleDate = new Date();
+            newerDate = new Date();
+            middleDate.setDate(middleDate.getDate() + 1);
+            newerDate.setDate(newerDate.getDate() + 2);
+
+            fs = new FakeFs();
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return Promise.resolve([{ path: 'import.less', time: middleDate.getTime() }]);
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister });
+            fakeFile = new File({ path: 'main.less', stat: { mtime: olderDate }, contents: new Buffer('@import \'import.less\';') });
+        });
+
+        function runStream(assertLength, done) {
+            const lessChangedStream = lessChanged({ getOutputFileNames: getOutputFileNames });
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(assertLength))
+                .pipe(streamAssert.end(done))
+                .once('assertion', done);
+        }
+
+        it('should not pass the file onto the stream if all outputs are newer than the file and its imports', done => {
+            fs.file('main.css', { mtime: newerDate });
+            fs.file('main.css.map', { mtime: newerDate });
+            fs.file('main.min.css', { mtime: newerDate });
+            runStream(0, done);
+        });
+
+        it('should pass the file onto the stream if any of the outputs is missing', done => {
+            fs.file('main.css', { mtime: newerDate });
+            fs.file('main.min.css', { mtime: newerDate });
+            runStream(1, done);
+        });
+
+        it('should compare the imports against the oldest output', done => {
+            fs.file('main.css', { mtime: newerDate });
+            fs.file('main.css.map', { mtime: newerDate });
+            fs.file('main.min.css', { mtime: olderDate });
+            runStream(1, done);
+        });
+
+        it('should prefer the multiple output file names over a single output file name', done => {
+            fs.file('main.css', { mtime: newerDate });
+            fs.file('main.css.map', { mtime: newerDate });
+            fs.file('main.min.css', { mtime: newerDate });
+
+            const lessChangedStream = lessChanged({ getOutputFileNames: getOutputFileNames, getOutputFileName: input => 'missing.css' });
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(0))
+                .pipe(streamAssert.end(done))
+                .once('assertion', done);
+        });
+    });
+
     describe('when no options are provided', () => {
         it('should pass the input file to the import lister', done => {
             let fs = new FakeFs();
@@ -519,7 +655,8 @@ describe('gulp-less-changed', () => {
 
                     lessChangedStream2
                         .pipe(streamAssert.end(() => {
-                            expect(listImports.listImports).to.have.been.calledOnce;
+                            // once for each file, as files that are passed through are analysed too.
+                            expect(listImports.listImports).to.have.been.calledTwice;
                             done();
                         }));
                 }));
@@ -661,4 +798,1646 @@ describe('gulp-less-changed', () => {
                 .once('assertion', done);
         });
     });
-});
\ No newline at end of file
+
+    describe('when comparing against a reference time', () => {
+        let fs;
+        let imports;
+        let lessChanged;
+        let getOutputFileName;
+        let olderDate;
+        let middleDate;
+        let newerDate;
+
+        beforeEach(() => {
+            olderDate = new Date(2017, 0, 1);
+            middleDate = new Date(2017, 0, 2);
+            newerDate = new Date(2017, 0, 3);
+
+            fs = new FakeFs();
+            fs.file('main.css', { mtime: newerDate });
+
+            imports = [{ path: 'import.less', time: olderDate.getTime() }];
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return Promise.resolve(imports);
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister });
+            getOutputFileName = sinon.spy(input => input.replace('.less', '.css'));
+        });
+
+        function runStream(options, assertLength, done, assertions) {
+            const fakeFile = new File({ path: 'main.less', stat: { mtime: middleDate }, contents: new Buffer('') });
+            const lessChangedStream = lessChanged(Object.assign({ getOutputFileName: getOutputFileName }, options));
+            const passedFiles = [];
+            lessChangedStream.on('data', file => passedFiles.push(file));
+            lessChangedStream.on('end', () => {
+                try {
+                    expect(passedFiles).to.have.length(assertLength);
+                    expect(getOutputFileName).not.to.have.been.called;
+                    if (assertions) {
+                        assertions(passedFiles);
+                    }
+                    done();
+                }
+                catch (error) {
+                    done(error);
+                }
+            });
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+        }
+
+        it('should pass the file onto the stream if it is newer than the given date', done => {
+            runStream({ since: olderDate }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('file-changed');
+            });
+        });
+
+        it('should not pass the file onto the stream if it and its dependencies are older than the given date', done => {
+            runStream({ since: newerDate }, 0, done);
+        });
+
+        it('should pass the file onto the stream if a dependency is newer than the given time', done => {
+            imports[0].time = newerDate.getTime() + 1;
+            runStream({ since: newerDate.getTime() }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged).to.deep.equal({
+                    reason: 'dependencies-changed', changedDependencies: ['import.less'], dependencies: ['import.less']
+                });
+            });
+        });
+
+        it('should get the time from a function', done => {
+            const since = sinon.stub().returns(newerDate.getTime());
+            runStream({ since: since }, 0, done, () => {
+                expect(since).to.have.been.calledOnce;
+            });
+        });
+
+        it('should pass the file onto the stream if the function gives no time', done => {
+            runStream({ since: () => undefined }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('not-built');
+            });
+        });
+
+        it('should not pass the file onto the stream if it and its dependencies are older than the reference file', done => {
+            fs.file('app.css', { mtime: newerDate });
+            runStream({ referenceFile: 'app.css' }, 0, done);
+        });
+
+        it('should pass the file onto the stream if it is newer than the reference file', done => {
+            fs.file('app.css', { mtime: olderDate });
+            runStream({ referenceFile: 'app.css' }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('file-changed');
+            });
+        });
+
+        it('should pass the file onto the stream if the reference file does not exist', done => {
+            runStream({ referenceFile: 'app.css' }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('output-missing');
+            });
+        });
+
+        it('should throw for an invalid since option', () => {
+            expect(() => lessChanged({ since: 'yesterday' })).to.throw('Invalid since option \'yesterday\'.');
+        });
+    });
+
+    describe('when excluding partials', () => {
+        let fs;
+        let lessChanged;
+        let files;
+        let olderDate;
+        let newerDate;
+
+        beforeEach(() => {
+            olderDate = new Date();
+            newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.file('main.css', { mtime: olderDate });
+            fs.file('other.css', { mtime: newerDate });
+
+            const dependencies = {
+                'main.less': [{ path: '_vars.less', time: newerDate.getTime() }, { path: '_mixins.less', time: olderDate.getTime() }],
+                'other.less': [{ path: '_mixins.less', time: olderDate.getTime() }],
+                '_vars.less': [{ path: '_mixins.less', time: olderDate.getTime() }],
+                '_mixins.less': []
+            };
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function (file) {
+                            return Promise.resolve(dependencies[file.path]);
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister });
+            files = [
+                new File({ path: 'main.less', stat: { mtime: olderDate }, contents: new Buffer('') }),
+                new File({ path: '_vars.less', stat: { mtime: newerDate }, contents: new Buffer('') }),
+                new File({ path: 'other.less', stat: { mtime: olderDate }, contents: new Buffer('') }),
+                new File({ path: '_mixins.less', stat: { mtime: olderDate }, contents: new Buffer('') })
+            ];
+        });
+
+        function runStream(options, done, assertions) {
+            const lessChangedStream = lessChanged(options);
+            const passedFiles = [];
+            let summary;
+            lessChangedStream.on('data', file => passedFiles.push(file.path));
+            lessChangedStream.on('summary', s => summary = s);
+            lessChangedStream.on('end', () => {
+                try {
+                    assertions(passedFiles, summary);
+                    done();
+                }
+                catch (error) {
+                    done(error);
+                }
+            });
+            files.forEach(f => lessChangedStream.write(f));
+            lessChangedStream.end();
+        }
+
+        it('should pass partials onto the stream by default', done => {
+            runStream({}, done, passedFiles => {
+                expect(passedFiles).to.deep.equal(['main.less', '_vars.less', '_mixins.less']);
+            });
+        });
+
+        it('should only pass the entries that depend on changed partials onto the stream', done => {
+            runStream({ excludePartials: true }, done, passedFiles => {
+                expect(passedFiles).to.deep.equal(['main.less']);
+            });
+        });
+
+        it('should keep the input order of the entries', done => {
+            fs.unlink('other.css');
+            runStream({ excludePartials: true, concurrency: 4, ordered: false }, done, passedFiles => {
+                expect(passedFiles).to.deep.equal(['main.less', 'other.less']);
+            });
+        });
+
+        it('should count the partials in the summary', done => {
+            runStream({ excludePartials: true }, done, (passedFiles, summary) => {
+                expect(summary).to.include({ checked: 4, changed: 1, unchanged: 1, partials: 2 });
+                expect(summary.files.map(f => f.path)).to.deep.equal(['main.less']);
+            });
+        });
+
+        it('should not pass any files onto the stream in dry run mode', done => {
+            runStream({ excludePartials: true, dryRun: true, logLevel: 'silent' }, done, (passedFiles, summary) => {
+                expect(passedFiles).to.be.empty;
+                expect(summary).to.include({ changed: 1, partials: 2 });
+            });
+        });
+    });
+
+    describe('when the set of dependencies has changed', () => {
+        let lessChanged;
+        let changedImports;
+        let date;
+
+        beforeEach(() => {
+            date = new Date();
+            const fs = new FakeFs();
+            fs.file('main.css', { mtime: date });
+
+            changedImports = [];
+            const importBuffer = {
+                ImportBuffer: function () {
+                    return {
+                        listImportChanges: function () {
+                            return Promise.resolve({ imports: [{ path: 'b.less', time: date.getTime() }], changedImports: changedImports });
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, importBuffer: importBuffer });
+        });
+
+        function runStream(assertLength, done, assertions) {
+            const lessChangedStream = lessChanged();
+            const passedFiles = [];
+            lessChangedStream.on('data', file => passedFiles.push(file));
+            lessChangedStream.on('end', () => {
+                try {
+                    expect(passedFiles).to.have.length(assertLength);
+                    if (assertions) {
+                        assertions(passedFiles);
+                    }
+                    done();
+                }
+                catch (error) {
+                    done(error);
+                }
+            });
+            lessChangedStream.write(new File({ path: 'main.less', stat: { mtime: date }, contents: new Buffer('') }));
+            lessChangedStream.end();
+        }
+
+        it('should not pass the file onto the stream if no dependencies were added or removed', done => {
+            runStream(0, done);
+        });
+
+        it('should pass the file onto the stream if a dependency was removed or renamed', done => {
+            changedImports = ['a.less', 'b.less'];
+            runStream(1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged).to.deep.equal({
+                    reason: 'dependencies-changed', changedDependencies: ['a.less', 'b.less'], dependencies: ['b.less']
+                });
+            });
+        });
+    });
+
+    describe('when a dependency is deleted between a dry run and a real run', () => {
+        let fs;
+        let imports;
+        let lessChanged;
+        let date;
+
+        beforeEach(() => {
+            date = new Date();
+            fs = new FakeFs();
+            fs.file('main.less', { mtime: date, content: '' });
+            fs.file('main.css', { mtime: date });
+            fs.file('a/part.less', { mtime: date });
+            fs.file('b/part.less', { mtime: date });
+
+            imports = [{ path: 'a/part.less', time: date.getTime() }];
+            const importLister = {
+                ImportLister: function () {
+                    return { listImports: () => Promise.resolve(imports) };
+                }
+            };
+            const importBuffer = proxyquire('../release/import-buffer', {
+                'fs': fs,
+                'os': { tmpdir: () => 'temp' },
+                'mkdirp': (path, done) => done()
+            });
+            const dependencyIndex = { DependencyIndex: function () { return { update: () => Promise.resolve() }; } };
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, importBuffer: importBuffer, dependencyIndex: dependencyIndex });
+        });
+
+        function runStream(options) {
+            return new Promise((resolve, reject) => {
+                const lessChangedStream = lessChanged(Object.assign({ logLevel: 'silent' }, options));
+                const passedFiles = [];
+                let summary;
+                lessChangedStream.on('data', file => passedFiles.push(file));
+                lessChangedStream.on('summary', s => summary = s);
+                lessChangedStream.on('error', reject);
+                lessChangedStream.on('end', () => resolve({ passedFiles, summary }));
+                lessChangedStream.write(new File({ path: path.resolve('main.less'), stat: { mtime: date }, contents: new Buffer('') }));
+                lessChangedStream.end();
+            });
+        }
+
+        it('should still pass the file onto the stream in the real run', async () => {
+            expect((await runStream({})).passedFiles).to.be.empty;
+
+            fs.unlink('a/part.less');
+            imports = [{ path: 'b/part.less', time: date.getTime() }];
+
+            const dryRun = await runStream({ dryRun: true });
+            expect(dryRun.summary.files).to.deep.equal([
+                { path: path.resolve('main.less'), reason: 'dependencies-changed', changedDependencies: ['a/part.less', 'b/part.less'] }
+            ]);
+
+            const realRun = await runStream({});
+            expect(realRun.passedFiles).to.have.length(1);
+            expect(realRun.passedFiles[0].lessChanged.reason).to.equal('dependencies-changed');
+        });
+
+        it('should keep passing the file onto the stream until its output has been written', async () => {
+            await runStream({});
+
+            fs.unlink('a/part.less');
+            imports = [{ path: 'b/part.less', time: date.getTime() }];
+
+            expect((await runStream({})).passedFiles).to.have.length(1);
+
+            // e.g. the build failed, leaving the old output behind.
+            const unbuiltRun = await runStream({});
+            expect(unbuiltRun.passedFiles).to.have.length(1);
+            expect(unbuiltRun.passedFiles[0].lessChanged).to.include({ reason: 'dependencies-changed' });
+            expect(unbuiltRun.passedFiles[0].lessChanged.changedDependencies).to.deep.equal(['a/part.less', 'b/part.less']);
+
+            fs.file('main.css', { mtime: new Date(date.getTime() + 1000) });
+            expect((await runStream({})).passedFiles).to.be.empty;
+        });
+
+        it('should still pass the file onto the stream after checking it', async () => {
+            await runStream({});
+
+            fs.unlink('a/part.less');
+            imports = [{ path: 'b/part.less', time: date.getTime() }];
+
+            const [result] = await lessChanged.check('main.less', { logLevel: 'silent' });
+            expect(result.reason).to.equal('dependencies-changed');
+
+            const realRun = await runStream({});
+            expect(realRun.passedFiles).to.have.length(1);
+        });
+    });
+
+    describe('when a dependency is missing', () => {
+        let fs;
+        let lessChanged;
+        let olderDate;
+        let newerDate;
+
+        beforeEach(() => {
+            olderDate = new Date();
+            newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.file('main.less', { mtime: olderDate, content: '@import \'_a.less\';' });
+            fs.file('_a.less', { mtime: olderDate, content: '@a: data-uri(\'missing.png\');' });
+            fs.file('main.css', { mtime: newerDate });
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return Promise.resolve([
+                                { path: '_a.less', time: olderDate.getTime(), importedFrom: ['main.less'] },
+                                { path: 'missing.png', time: null, importedFrom: ['_a.less'], missing: true }
+                            ]);
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister });
+        });
+
+        function runStream(options, assertLength, done, assertions) {
+            const fakeFile = new File({ path: 'main.less', stat: { mtime: olderDate }, contents: new Buffer('@import \'_a.less\';') });
+            const lessChangedStream = lessChanged(options);
+            const passedFiles = [];
+            const errors = [];
+            lessChangedStream.on('data', file => passedFiles.push(file));
+            lessChangedStream.on('error', error => errors.push(error));
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream.on('end', () => {
+                try {
+                    expect(passedFiles).to.have.length(assertLength);
+                    if (assertions) {
+                        assertions(passedFiles, errors);
+                    }
+                    done();
+                }
+                catch (error) {
+                    done(error);
+                }
+            });
+        }
+
+        it('should not pass the file onto the stream by default', done => {
+            runStream({}, 0, done);
+        });
+
+        it('should not pass the file onto the stream if missing dependencies are ignored', done => {
+            runStream({ missingDependency: 'ignore' }, 0, done);
+        });
+
+        it('should pass the file onto the stream if missing dependencies cause a rebuild', done => {
+            runStream({ missingDependency: 'rebuild' }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged).to.deep.equal({
+                    reason: 'dependency-missing',
+                    changedDependencies: ['missing.png'],
+                    dependencies: ['_a.less', 'missing.png']
+                });
+            });
+        });
+
+        it('should pass the file onto the stream if missing dependencies cause a rebuild when comparing using content hashes', done => {
+            runStream({ missingDependency: 'rebuild', compare: 'hash' }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('dependency-missing');
+            });
+        });
+
+        it('should emit an error naming the entry and the import chain if missing dependencies are errors', done => {
+            runStream({ missingDependency: 'error' }, 0, done, (passedFiles, errors) => {
+                expect(errors).to.have.length(1);
+                expect(errors[0]).to.be.an.instanceof(gutil.PluginError);
+                expect(errors[0].message).to.contain('Missing dependencies of \'main.less\': \'main.less\' -> \'_a.less\' -> \'missing.png\'');
+            });
+        });
+
+        describe('and less fails because an import can\'t be found', () => {
+            beforeEach(() => {
+                const importLister = {
+                    ImportLister: function () {
+                        return {
+                            listImports: () => Promise.reject(new Error('Failed to process imports for \'main.less\': \'gone.less\' wasn\'t found.'))
+                        }
+                    }
+                };
+                lessChanged = getLessChanged({ fs: fs, listImports: importLister });
+            });
+
+            it('should pass the file onto the stream if missing dependencies cause a rebuild', done => {
+                runStream({ missingDependency: 'rebuild', logLevel: 'silent' }, 1, done, passedFiles => {
+                    expect(passedFiles[0].lessChanged).to.deep.equal({ reason: 'analysis-failed', changedDependencies: [] });
+                });
+            });
+
+            it('should emit the error if missing dependencies are errors', done => {
+                runStream({ missingDependency: 'error' }, 0, done, (passedFiles, errors) => {
+                    expect(errors).to.have.length(1);
+                    expect(errors[0].message).to.contain('Error processing \'main.less\'');
+                    expect(errors[0].message).to.contain('\'gone.less\' wasn\'t found.');
+                });
+            });
+        });
+
+        it('should emit an error if missing dependencies are errors even when the output is missing', done => {
+            fs.unlink('main.css');
+            runStream({ missingDependency: 'error' }, 0, done, (passedFiles, errors) => {
+                expect(errors).to.have.length(1);
+            });
+        });
+    });
+
+    describe('when an invalid trackUrls option is specified', () => {
+        it('should throw an error', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged({ trackUrls: 3 })).to.throw('Invalid trackUrls option \'3\'.');
+        });
+    });
+
+    describe('when an invalid fileFunctions option is specified', () => {
+        it('should throw an error for an invalid argument index', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged({ fileFunctions: { 'inline-svg': 'path' } })).to.throw('Invalid fileFunctions option.');
+        });
+
+        it('should throw an error if not given an object', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged({ fileFunctions: [] })).to.throw('Invalid fileFunctions option.');
+            expect(() => lessChanged({ fileFunctions: 'inline-svg' })).to.throw('Invalid fileFunctions option.');
+        });
+    });
+
+    describe('when an unknown analyzer is specified', () => {
+        it('should throw an error', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged({ analyzer: 'tokenize' })).to.throw('Unknown analyzer \'tokenize\'.');
+        });
+    });
+
+    describe('when an invalid aliases option is specified', () => {
+        it('should throw an error', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged({ aliases: { '@theme': 3 } })).to.throw('Invalid aliases option.');
+        });
+    });
+
+    describe('when an unknown missing dependency policy is specified', () => {
+        it('should throw an error', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged({ missingDependency: 'warn' })).to.throw('Unknown missing dependency policy \'warn\'.');
+        });
+    });
+
+    describe('when comparing using content hashes', () => {
+        let fs;
+        let snapshots;
+        let pendingSnapshots;
+        let lessChanged;
+        let fakeFile;
+        let olderDate;
+        let newerDate;
+
+        beforeEach(() => {
+            olderDate = new Date();
+            newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.file('main.less', { mtime: newerDate, content: '@import \'import.less\';' });
+            fs.file('import.less', { mtime: newerDate, content: '@a: 1;' });
+            fs.file('main.css', { mtime: olderDate });
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return Promise.resolve([{ path: 'import.less', time: newerDate.getTime() }]);
+                        }
+                    }
+                }
+            };
+
+            snapshots = {};
+            pendingSnapshots = {};
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, snapshotStore: getFakeSnapshotStore(snapshots, null, pendingSnapshots) });
+            fakeFile = new File({ path: 'main.less', stat: { mtime: newerDate }, contents: new Buffer('@import \'import.less\';') });
+        });
+
+        function runStream(assertLength, done, assertions) {
+            const lessChangedStream = lessChanged({ compare: 'hash' });
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(assertLength))
+                .pipe(streamAssert.end(() => {
+                    if (assertions) {
+                        assertions();
+                    }
+                    done();
+                }))
+                .once('assertion', done);
+        }
+
+        it('should pass the file onto the stream if there is no previous snapshot', done => {
+            runStream(1, done);
+        });
+
+        function getCurrentSnapshot() {
+            return { 'main.less': md5('@import \'import.less\';'), 'import.less': md5('@a: 1;'), '<fingerprint>': fingerprint() };
+        }
+
+        it('should record the hashes of the file and its imports as pending until the output has been written', done => {
+            runStream(1, done, () => {
+                expect(pendingSnapshots['main.less']).to.deep.equal(Object.assign(getCurrentSnapshot(), {
+                    '<outputs>': JSON.stringify([olderDate.getTime()])
+                }));
+                expect(snapshots['main.less']).to.be.undefined;
+            });
+        });
+
+        it('should not pass the file onto the stream once the output has been written since the hashes were recorded', done => {
+            pendingSnapshots['main.less'] = Object.assign(getCurrentSnapshot(), { '<outputs>': JSON.stringify([null]) });
+            runStream(0, done, () => {
+                expect(snapshots['main.less']).to.deep.equal(getCurrentSnapshot());
+                expect(pendingSnapshots['main.less']).to.be.null;
+            });
+        });
+
+        it('should pass the file onto the stream again if the output has not been written since it was passed through', done => {
+            snapshots['main.less'] = { 'main.less': md5('something else'), 'import.less': md5('@a: 1;'), '<fingerprint>': fingerprint() };
+            pendingSnapshots['main.less'] = Object.assign(getCurrentSnapshot(), { '<outputs>': JSON.stringify([olderDate.getTime()]) });
+            runStream(1, done, () => {
+                expect(fakeFile.lessChanged.reason).to.equal('file-changed');
+                expect(snapshots['main.less']['main.less']).to.equal(md5('something else'));
+            });
+        });
+
+        it('should not pass the file onto the stream if the hashes have not changed even though it is newer than the output', done => {
+            snapshots['main.less'] = getCurrentSnapshot();
+            runStream(0, done);
+        });
+
+        it('should pass the file onto the stream if the file contents have changed', done => {
+            snapshots['main.less'] = { 'main.less': md5('something else'), 'import.less': md5('@a: 1;') };
+            runStream(1, done);
+        });
+
+        it('should pass the file onto the stream if an import has changed', done => {
+            snapshots['main.less'] = { 'main.less': md5('@import \'import.less\';'), 'import.less': md5('@a: 2;') };
+            runStream(1, done, () => {
+                expect(pendingSnapshots['main.less']['import.less']).to.equal(md5('@a: 1;'));
+            });
+        });
+
+        it('should pass the file onto the stream if the output does not exist', done => {
+            snapshots['main.less'] = { 'main.less': md5('@import \'import.less\';'), 'import.less': md5('@a: 1;') };
+            fs.unlink('main.css');
+            runStream(1, done);
+        });
+    });
+
+    describe('when the Less options change', () => {
+        let fs;
+        let stored;
+        let olderDate;
+        let newerDate;
+
+        beforeEach(() => {
+            olderDate = new Date();
+            newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.file('main.css', { mtime: newerDate });
+            stored = {};
+        });
+
+        function runStream(lessChanged, options, assertLength, done, assertions) {
+            const fakeFile = new File({ path: 'main.less', stat: { mtime: olderDate }, contents: new Buffer('@a: 1;') });
+            const lessChangedStream = lessChanged(options);
+            const passedFiles = [];
+            lessChangedStream.on('data', file => passedFiles.push(file));
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream.on('end', () => {
+                try {
+                    expect(passedFiles).to.have.length(assertLength);
+                    if (assertions) {
+                        assertions(passedFiles);
+                    }
+                    done();
+                }
+                catch (error) {
+                    done(error);
+                }
+            });
+        }
+
+        it('should record the fingerprint of an output built before fingerprints were recorded', done => {
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { strictMath: true }, 0, done, () => {
+                expect(stored[path.resolve('main.css')]).to.deep.equal({ '<fingerprint>': fingerprint({ strictMath: true }) });
+            });
+        });
+
+        it('should not pass the file onto the stream if the options have not changed', done => {
+            stored[path.resolve('main.css')] = { '<fingerprint>': fingerprint({ strictMath: true }) };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { strictMath: true }, 0, done);
+        });
+
+        it('should pass the file onto the stream if the options have changed', done => {
+            stored[path.resolve('main.css')] = { '<fingerprint>': fingerprint({ strictMath: true }) };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { strictMath: false }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('options-changed');
+                expect(stored[path.resolve('main.css')]).to.deep.equal({
+                    '<fingerprint>': fingerprint({ strictMath: true }),
+                    '<pending-fingerprint>': fingerprint({ strictMath: false }),
+                    '<outputs>': JSON.stringify(newerDate.getTime())
+                });
+            });
+        });
+
+        it('should use the new fingerprint once the output has been written since the file was passed through', done => {
+            stored[path.resolve('main.css')] = {
+                '<fingerprint>': fingerprint({ strictMath: true }),
+                '<pending-fingerprint>': fingerprint({ strictMath: false }),
+                '<outputs>': JSON.stringify(olderDate.getTime())
+            };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { strictMath: false }, 0, done, () => {
+                expect(stored[path.resolve('main.css')]).to.deep.equal({ '<fingerprint>': fingerprint({ strictMath: false }) });
+            });
+        });
+
+        it('should pass the file onto the stream again if the output has not been written since it was passed through', done => {
+            stored[path.resolve('main.css')] = {
+                '<fingerprint>': fingerprint({ strictMath: true }),
+                '<pending-fingerprint>': fingerprint({ strictMath: false }),
+                '<outputs>': JSON.stringify(newerDate.getTime())
+            };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { strictMath: false }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('options-changed');
+            });
+        });
+
+        it('should pass the file onto the stream if the Less version has changed', done => {
+            stored[path.resolve('main.css')] = { '<fingerprint>': fingerprint() };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored), less: { version: [3, 0, 0] } });
+            runStream(lessChanged, {}, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('options-changed');
+            });
+        });
+
+        it('should not treat trackUrls as a Less option, as it does not change the CSS', done => {
+            stored[path.resolve('main.css')] = { '<fingerprint>': fingerprint() };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { trackUrls: '*.png' }, 0, done);
+        });
+
+        it('should not treat fileFunctions as a Less option, as it does not change the CSS', done => {
+            stored[path.resolve('main.css')] = { '<fingerprint>': fingerprint() };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { fileFunctions: { 'image-size': null } }, 0, done);
+        });
+
+        it('should not treat plugin-only options as Less options', done => {
+            stored[path.resolve('main.css')] = { '<fingerprint>': fingerprint() };
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored) });
+            runStream(lessChanged, { summary: true, concurrency: 2 }, 0, done);
+        });
+
+        it('should pass the file onto the stream if the options have changed when comparing using content hashes', done => {
+            fs.file('main.less', { mtime: olderDate, content: '@a: 1;' });
+            stored['main.less'] = { 'main.less': md5('@a: 1;'), '<fingerprint>': fingerprint({ strictMath: true }) };
+            const pendingSnapshots = {};
+            const lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(stored, null, pendingSnapshots) });
+            runStream(lessChanged, { compare: 'hash' }, 1, done, passedFiles => {
+                expect(passedFiles[0].lessChanged.reason).to.equal('options-changed');
+                expect(pendingSnapshots['main.less']['<fingerprint>']).to.equal(fingerprint());
+            });
+        });
+    });
+
+    describe('when an unknown compare mode is specified', () => {
+        it('should throw an error', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged({ compare: 'size' })).to.throw('Unknown compare mode \'size\'.');
+        });
+    });
+
+    describe('when using a manifest', () => {
+        let fs;
+        let snapshots;
+        let storeFiles;
+        let lessChanged;
+        let fakeFile;
+        let mainDate;
+        let importDate;
+
+        beforeEach(() => {
+            mainDate = new Date();
+            importDate = new Date();
+            importDate.setDate(importDate.getDate() - 1);
+
+            fs = new FakeFs();
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return Promise.resolve([{ path: 'import.less', time: importDate.getTime() }]);
+                        }
+                    }
+                }
+            };
+
+            snapshots = {};
+            storeFiles = [];
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, snapshotStore: getFakeSnapshotStore(snapshots, storeFiles) });
+            fakeFile = new File({ path: 'main.less', stat: { mtime: mainDate }, contents: new Buffer('@import \'import.less\';') });
+        });
+
+        function getCurrentSnapshot() {
+            return { '../main.less': String(mainDate.getTime()), '../import.less': String(importDate.getTime()), '<fingerprint>': fingerprint() };
+        }
+
+        function runStream(assertLength, done, assertions) {
+            const lessChangedStream = lessChanged({ manifest: 'build/manifest.json' });
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(assertLength))
+                .pipe(streamAssert.end(() => {
+                    if (assertions) {
+                        assertions();
+                    }
+                    done();
+                }))
+                .once('assertion', done);
+        }
+
+        it('should use the manifest file as the snapshot store', done => {
+            runStream(1, done, () => {
+                expect(storeFiles).to.include(path.resolve('build/manifest.json'));
+            });
+        });
+
+        it('should pass the file onto the stream if it is not in the manifest', done => {
+            runStream(1, done);
+        });
+
+        it('should not update the manifest until the file is recorded', done => {
+            runStream(1, done, () => {
+                expect(snapshots).to.be.empty;
+            });
+        });
+
+        it('should not pass the file onto the stream if the snapshot has not changed, even without an output file', done => {
+            snapshots['../main.less'] = getCurrentSnapshot();
+            runStream(0, done);
+        });
+
+        it('should key the manifest by paths relative to its directory, whether the file path is relative or absolute', done => {
+            snapshots['../main.less'] = getCurrentSnapshot();
+            const lessChangedStream = lessChanged({ manifest: 'build/manifest.json' });
+            lessChangedStream.write(new File({ path: path.resolve('main.less'), stat: { mtime: mainDate }, contents: new Buffer('') }));
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(0))
+                .pipe(streamAssert.end(done))
+                .once('assertion', done);
+        });
+
+        it('should pass the file onto the stream if an import has changed', done => {
+            const snapshot = getCurrentSnapshot();
+            snapshot['../import.less'] = '12345';
+            snapshots['../main.less'] = snapshot;
+            runStream(1, done);
+        });
+
+        it('should pass the file onto the stream if the set of imports has changed', done => {
+            const snapshot = getCurrentSnapshot();
+            snapshot['../other.less'] = '12345';
+            snapshots['../main.less'] = snapshot;
+            runStream(1, done);
+        });
+
+        describe('and recording the files that were built', () => {
+            it('should add the snapshot of a passed through file to the manifest', done => {
+                const lessChangedStream = lessChanged({ manifest: 'build/manifest.json' });
+                const recordStream = lessChangedStream.pipe(lessChanged.record());
+                lessChangedStream.write(fakeFile);
+                lessChangedStream.end();
+
+                recordStream
+                    .pipe(streamAssert.length(1))
+                    .pipe(streamAssert.first(item => expect(item).to.equal(fakeFile)))
+                    .pipe(streamAssert.end(() => {
+                        expect(snapshots['../main.less']).to.deep.equal(getCurrentSnapshot());
+                        expect(storeFiles[storeFiles.length - 1]).to.equal(path.resolve('build/manifest.json'));
+                        done();
+                    }))
+                    .once('assertion', done);
+            });
+
+            it('should record a file that has been replaced and renamed by later steps', done => {
+                const lessChangedStream = lessChanged({ manifest: 'build/manifest.json' });
+                lessChangedStream.write(fakeFile);
+                lessChangedStream.end();
+
+                lessChangedStream
+                    .pipe(streamAssert.length(1))
+                    .pipe(streamAssert.end(() => {
+                        const outputFile = new File({ history: fakeFile.history.slice(), contents: new Buffer('a {}') });
+                        outputFile.path = 'main.css';
+
+                        const recordStream = lessChanged.record();
+                        recordStream.write(outputFile);
+                        recordStream.end();
+                        recordStream
+                            .pipe(streamAssert.length(1))
+                            .pipe(streamAssert.end(() => {
+                                expect(snapshots['../main.less']).to.deep.equal(getCurrentSnapshot());
+                                done();
+                            }))
+                            .once('assertion', done);
+                    }))
+                    .once('assertion', done);
+            });
+
+            it('should not record a file that did not make it through the pipeline', done => {
+                const lessChangedStream = lessChanged({ manifest: 'build/manifest.json' });
+                lessChangedStream.write(fakeFile);
+                lessChangedStream.end();
+
+                lessChangedStream
+                    .pipe(streamAssert.length(1))
+                    .pipe(streamAssert.end(() => {
+                        const recordStream = lessChanged.record();
+                        recordStream.write(new File({ path: 'other.css', contents: new Buffer('') }));
+                        recordStream.end();
+                        recordStream
+                            .pipe(streamAssert.length(1))
+                            .pipe(streamAssert.end(() => {
+                                expect(snapshots).to.be.empty;
+                                done();
+                            }))
+                            .once('assertion', done);
+                    }))
+                    .once('assertion', done);
+            });
+
+            it('should record using the configured logger', done => {
+                const storeLoggers = [];
+                const snapshotStore = {
+                    SnapshotStore: function (storeFile, logger) {
+                        storeLoggers.push(logger);
+                        return { get: () => Promise.resolve(null), set: () => Promise.resolve() };
+                    }
+                };
+                const log = sinon.spy();
+                lessChanged = getLessChanged({ fs: fs, snapshotStore: snapshotStore });
+                const lessChangedStream = lessChanged({ manifest: 'build/manifest.json', logger: log });
+                const recordStream = lessChangedStream.pipe(lessChanged.record());
+                lessChangedStream.write(fakeFile);
+                lessChangedStream.end();
+
+                recordStream
+                    .pipe(streamAssert.length(1))
+                    .pipe(streamAssert.end(() => {
+                        const recordLogger = storeLoggers[storeLoggers.length - 1];
+                        recordLogger.warn('Failed to save snapshots.');
+                        expect(log).to.have.been.calledWith('Failed to save snapshots.', 'warn');
+                        done();
+                    }))
+                    .once('assertion', done);
+            });
+
+            it('should pass through files that did not come from lessChanged without recording them', done => {
+                const recordStream = lessChanged.record();
+                const otherFile = new File({ path: 'other.css', contents: new Buffer('') });
+                recordStream.write(otherFile);
+                recordStream.end();
+
+                recordStream
+                    .pipe(streamAssert.length(1))
+                    .pipe(streamAssert.first(item => expect(item).to.equal(otherFile)))
+                    .pipe(streamAssert.end(() => {
+                        expect(snapshots).to.be.empty;
+                        done();
+                    }))
+                    .once('assertion', done);
+            });
+        });
+    });
+
+    describe('when looking up the entries affected by changed files', () => {
+        let lessChanged;
+        let indexFiles;
+        let index;
+
+        beforeEach(() => {
+            indexFiles = [];
+            index = { getAffectedEntries: sinon.stub().returns(Promise.resolve(['main.less'])) };
+            const dependencyIndex = {
+                DependencyIndex: function (indexFile) {
+                    indexFiles.push(indexFile);
+                    return index;
+                }
+            };
+            lessChanged = getLessChanged({ dependencyIndex: dependencyIndex, os: { tmpdir: () => 'temp' } });
+        });
+
+        it('should return the affected entries from the dependency index', async () => {
+            const entries = await lessChanged.affectedBy(['_variables.less']);
+            expect(entries).to.deep.equal(['main.less']);
+            expect(index.getAffectedEntries).to.have.been.calledWith(['_variables.less']);
+        });
+
+        it('should accept a single path', async () => {
+            await lessChanged.affectedBy('_variables.less');
+            expect(index.getAffectedEntries).to.have.been.calledWith(['_variables.less']);
+        });
+
+        it('should ignore options that do not affect dependencies when choosing the dependency index', async () => {
+            await lessChanged.affectedBy(['_variables.less'], { paths: ['a'] });
+            await lessChanged.affectedBy(['_variables.less'], { paths: ['a'], dryRun: true, compare: 'hash', summary: true });
+            expect(indexFiles[1]).to.equal(indexFiles[0]);
+        });
+
+        it('should use a different dependency index when trackUrls changes which dependencies are found', async () => {
+            await lessChanged.affectedBy(['_variables.less'], {});
+            await lessChanged.affectedBy(['_variables.less'], { trackUrls: '*.png' });
+            expect(indexFiles[1]).not.to.equal(indexFiles[0]);
+        });
+
+        it('should use a different dependency index when fileFunctions changes which dependencies are found', async () => {
+            await lessChanged.affectedBy(['_variables.less'], {});
+            await lessChanged.affectedBy(['_variables.less'], { fileFunctions: { 'image-size': null } });
+            expect(indexFiles[1]).not.to.equal(indexFiles[0]);
+        });
+
+        it('should use the same dependency index as the stream with the same options', done => {
+            const lessChangedStream = lessChanged({ paths: ['a'] });
+            lessChangedStream.end();
+            lessChangedStream
+                .pipe(streamAssert.end(async () => {
+                    await lessChanged.affectedBy(['_variables.less'], { paths: ['a'] });
+                    await lessChanged.affectedBy(['_variables.less'], { paths: ['b'] });
+                    expect(indexFiles).to.have.length(3);
+                    expect(indexFiles[1]).to.equal(indexFiles[0]);
+                    expect(indexFiles[2]).not.to.equal(indexFiles[0]);
+                    expect(path.dirname(path.dirname(indexFiles[0]))).to.equal('temp');
+                    done();
+                }));
+        });
+    });
+
+    describe('when a graph file is specified', () => {
+        let fs;
+        let lessChanged;
+        let mainFile;
+        let otherFile;
+
+        beforeEach(() => {
+            const date = new Date();
+            fs = new FakeFs();
+            fs.dir('graphs');
+            fs.file('main.css', { mtime: date });
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function (file) {
+                            return Promise.resolve(file.path === 'main.less' ?
+                                [{ path: '_variables.less', time: date.getTime(), importedFrom: ['main.less'] }] :
+                                []);
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, mkdirp: (path, done) => done() });
+            mainFile = new File({ path: 'main.less', stat: { mtime: date }, contents: new Buffer('@import \'_variables.less\';') });
+            otherFile = new File({ path: 'other.less', stat: { mtime: date }, contents: new Buffer('') });
+        });
+
+        function runStream(options, done, assertions) {
+            const lessChangedStream = lessChanged(options);
+            lessChangedStream.write(mainFile);
+            lessChangedStream.write(otherFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.end(() => {
+                    assertions();
+                    done();
+                }))
+                .once('assertion', done);
+        }
+
+        it('should write the graph of all files in the stream as JSON', done => {
+            runStream({ graphFile: 'graphs/deps.json' }, done, () => {
+                const graph = JSON.parse(fs.readFileSync('graphs/deps.json'));
+                expect(graph).to.deep.equal({
+                    entries: [path.resolve('main.less'), path.resolve('other.less')],
+                    imports: {
+                        [path.resolve('main.less')]: [path.resolve('_variables.less')],
+                        [path.resolve('other.less')]: []
+                    }
+                });
+            });
+        });
+
+        it('should write the graph as DOT for a .dot file', done => {
+            runStream({ graphFile: 'graphs/deps.dot' }, done, () => {
+                const graph = fs.readFileSync('graphs/deps.dot').toString();
+                expect(graph).to.contain(`"${path.resolve('main.less')}" -> "${path.resolve('_variables.less')}";`);
+            });
+        });
+
+        it('should use the specified graph format', done => {
+            runStream({ graphFile: 'graphs/deps.txt', graphFormat: 'dot' }, done, () => {
+                const graph = fs.readFileSync('graphs/deps.txt').toString();
+                expect(graph).to.match(/^digraph dependencies {/);
+            });
+        });
+
+        it('should emit an error if the graph cannot be written', done => {
+            sinon.stub(fs, 'writeFile').callsArgWith(2, new Error('Something went wrong.'));
+            const lessChangedStream = lessChanged({ graphFile: 'graphs/deps.json' });
+            lessChangedStream.once('error', error => {
+                expect(error.message).to.contain('Failed to write dependency graph to \'graphs/deps.json\'');
+                done();
+            });
+            lessChangedStream.write(mainFile);
+            lessChangedStream.end();
+            lessChangedStream.resume();
+        });
+
+        it('should throw for an unknown graph format', () => {
+            expect(() => lessChanged({ graphFile: 'graphs/deps.txt', graphFormat: 'svg' })).to.throw('Unknown graph format \'svg\'.');
+        });
+    });
+
+    describe('when getting the dependency graph of analysed files', () => {
+        let lessChanged;
+        let index;
+        const fakeGraph = { entries: ['main.less'], imports: { 'main.less': ['_variables.less'] } };
+
+        beforeEach(() => {
+            index = { getGraph: sinon.stub().returns(Promise.resolve(fakeGraph)) };
+            const dependencyIndex = {
+                DependencyIndex: function () {
+                    return index;
+                }
+            };
+            lessChanged = getLessChanged({ dependencyIndex: dependencyIndex });
+        });
+
+        it('should return the graph from the dependency index', async () => {
+            expect(await lessChanged.graph()).to.deep.equal(fakeGraph);
+        });
+
+        it('should return the graph as DOT', async () => {
+            expect(await lessChanged.graph({}, 'dot')).to.contain('"main.less" -> "_variables.less";');
+        });
+    });
+
+    describe('when a file is passed through', () => {
+        let fs;
+        let olderDate;
+        let newerDate;
+        let imports;
+        let lessChanged;
+        let fakeFile;
+
+        beforeEach(() => {
+            olderDate = new Date();
+            newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.file('main.less', { mtime: olderDate, content: 'main' });
+            fs.file('a.less', { mtime: olderDate, content: 'a' });
+            fs.file('b.less', { mtime: olderDate, content: 'b' });
+
+            imports = [{ path: 'a.less', time: olderDate.getTime() }, { path: 'b.less', time: olderDate.getTime() }];
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return imports ? Promise.resolve(imports) : Promise.reject(new Error('Some error.'));
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, snapshotStore: getFakeSnapshotStore({}) });
+            fakeFile = new File({ path: 'main.less', stat: { mtime: olderDate }, contents: new Buffer('main') });
+        });
+
+        function expectChangeInfo(options, expected, done) {
+            const lessChangedStream = lessChanged(options);
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(1))
+                .pipe(streamAssert.first(item => expect(item.lessChanged).to.deep.equal(expected)))
+                .pipe(streamAssert.end(done))
+                .once('assertion', done);
+        }
+
+        it('should give the reason as a missing output', done => {
+            expectChangeInfo({}, { reason: 'output-missing', changedDependencies: [], dependencies: ['a.less', 'b.less'] }, done);
+        });
+
+        it('should give the reason as the file having changed', done => {
+            fs.file('main.css', { mtime: olderDate });
+            fakeFile.stat.mtime = newerDate;
+            expectChangeInfo({}, { reason: 'file-changed', changedDependencies: [], dependencies: ['a.less', 'b.less'] }, done);
+        });
+
+        it('should list the imports of a file whose output is missing, so that the dependency index knows about it', done => {
+            const listedFiles = [];
+            const importBuffer = {
+                ImportBuffer: function (lister) {
+                    return {
+                        listImportChanges: file => {
+                            listedFiles.push(file.path);
+                            return lister(file).then(imports => { return { imports: imports, changedImports: [] } });
+                        }
+                    };
+                }
+            };
+            const importLister = { ImportLister: function () { return { listImports: () => Promise.resolve(imports) }; } };
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, importBuffer: importBuffer });
+
+            const lessChangedStream = lessChanged();
+            lessChangedStream.write(fakeFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(1))
+                .pipe(streamAssert.end(() => {
+                    expect(listedFiles).to.deep.equal(['main.less']);
+                    done();
+                }))
+                .once('assertion', done);
+        });
+
+        it('should give the reason and the dependencies that changed', done => {
+            fs.file('main.css', { mtime: olderDate });
+            imports[1].time = newerDate.getTime();
+            expectChangeInfo({}, { reason: 'dependencies-changed', changedDependencies: ['b.less'], dependencies: ['a.less', 'b.less'] }, done);
+        });
+
+        it('should give the reason as a failed analysis', done => {
+            fs.file('main.css', { mtime: olderDate });
+            imports = null;
+            expectChangeInfo({ logLevel: 'silent' }, { reason: 'analysis-failed', changedDependencies: [] }, done);
+        });
+
+        it('should leave out the dependencies when they could not be worked out', done => {
+            fs.file('main.css', { mtime: olderDate });
+            fakeFile.stat.mtime = newerDate;
+            imports = null;
+            expectChangeInfo({ logLevel: 'silent' }, { reason: 'file-changed', changedDependencies: [] }, done);
+        });
+
+        it('should give the reason as not built when there is no previous snapshot', done => {
+            fs.file('main.css', { mtime: olderDate });
+            expectChangeInfo({ compare: 'hash' }, { reason: 'not-built', changedDependencies: [], dependencies: ['a.less', 'b.less'] }, done);
+        });
+
+        it('should give the dependencies that changed since the last snapshot, including removed ones', done => {
+            const snapshots = {
+                'main.less': {
+                    'main.less': String(olderDate.getTime()),
+                    'a.less': String(olderDate.getTime()),
+                    'b.less': '1234',
+                    'c.less': String(olderDate.getTime())
+                }
+            };
+            lessChanged = getLessChanged({
+                fs: fs,
+                listImports: { ImportLister: function () { return { listImports: () => Promise.resolve(imports) }; } },
+                snapshotStore: getFakeSnapshotStore(snapshots)
+            });
+            expectChangeInfo({ manifest: 'manifest.json' }, {
+                reason: 'dependencies-changed',
+                changedDependencies: [path.resolve('b.less'), path.resolve('c.less')],
+                dependencies: ['a.less', 'b.less']
+            }, done);
+        });
+    });
+
+    describe('when the stream ends', () => {
+        let fs;
+        let lessChanged;
+        let changedFile;
+        let unchangedFile;
+        let spyContext;
+
+        beforeEach(() => {
+            spyContext = sinon.sandbox.create();
+            const olderDate = new Date();
+            const newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.dir('reports');
+            fs.file('unchanged.css', { mtime: newerDate });
+            fs.file('changed.css', { mtime: newerDate });
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function (file) {
+                            const time = file.path === 'changed.less' ? newerDate.getTime() + 1 : olderDate.getTime();
+                            return Promise.resolve([{ path: 'import.less', time: time }]);
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, mkdirp: (path, done) => done(), snapshotStore: getFakeSnapshotStore({}) });
+            changedFile = new File({ path: 'changed.less', stat: { mtime: olderDate }, contents: new Buffer('') });
+            unchangedFile = new File({ path: 'unchanged.less', stat: { mtime: olderDate }, contents: new Buffer('') });
+            spyContext.stub(gutil, 'log');
+        });
+
+        afterEach(() => {
+            spyContext.restore();
+        });
+
+        function runStream(options, assertLength, done, assertions) {
+            const lessChangedStream = lessChanged(options);
+            let summary;
+            lessChangedStream.on('summary', s => summary = s);
+            lessChangedStream.write(changedFile);
+            lessChangedStream.write(unchangedFile);
+            lessChangedStream.end();
+
+            lessChangedStream
+                .pipe(streamAssert.length(assertLength))
+                .pipe(streamAssert.end(() => {
+                    assertions(summary);
+                    done();
+                }))
+                .once('assertion', done);
+        }
+
+        it('should emit a summary event', done => {
+            runStream({}, 1, done, summary => {
+                expect(summary).to.include({ dryRun: false, checked: 2, changed: 1, unchanged: 1, errors: 0 });
+                expect(summary.analysisTime).to.be.a('number');
+                expect(summary.duration).to.be.a('number');
+                expect(summary.files).to.deep.equal([{ path: 'changed.less', reason: 'dependencies-changed', changedDependencies: ['import.less'] }]);
+            });
+        });
+
+        it('should not log the summary by default', done => {
+            runStream({}, 1, done, () => {
+                expect(gutil.log).not.to.have.been.called;
+            });
+        });
+
+        it('should log the summary if requested', done => {
+            runStream({ summary: true }, 1, done, () => {
+                expect(gutil.log).to.have.been.calledWith(sinon.match('checked 2 file(s): 1 passed through, 1 unchanged.'));
+            });
+        });
+
+        it('should write the summary to a file if requested', done => {
+            runStream({ summaryFile: 'reports/summary.json' }, 1, done, summary => {
+                expect(JSON.parse(fs.readFileSync('reports/summary.json'))).to.deep.equal(summary);
+            });
+        });
+
+        it('should emit an error if the summary cannot be written', done => {
+            spyContext.stub(fs, 'writeFile').callsArgWith(2, new Error('Something went wrong.'));
+            const lessChangedStream = lessChanged({ summaryFile: 'reports/summary.json' });
+            lessChangedStream.once('error', error => {
+                expect(error.message).to.contain('Failed to write summary to \'reports/summary.json\'');
+                done();
+            });
+            lessChangedStream.end();
+            lessChangedStream.resume();
+        });
+
+        describe('in dry run mode', () => {
+            it('should not pass any file onto the stream', done => {
+                runStream({ dryRun: true }, 0, done, summary => {
+                    expect(summary).to.include({ dryRun: true, checked: 2, changed: 1, unchanged: 1 });
+                });
+            });
+
+            it('should log what would be passed through and why', done => {
+                runStream({ dryRun: true }, 0, done, () => {
+                    expect(gutil.log).to.have.been.calledWith(sinon.match('1 would be passed through'));
+                    expect(gutil.log).to.have.been.calledWith(sinon.match('changed.less (dependencies-changed: import.less)'));
+                });
+            });
+
+            it('should not record snapshots', done => {
+                const snapshots = {};
+                fs.file('changed.less', { content: '' });
+                fs.file('unchanged.less', { content: '' });
+                fs.file('import.less', { content: '' });
+                lessChanged = getLessChanged({ fs: fs, snapshotStore: getFakeSnapshotStore(snapshots) });
+                runStream({ dryRun: true, compare: 'hash' }, 0, done, () => {
+                    expect(snapshots).to.be.empty;
+                });
+            });
+        });
+    });
+
+    describe('when checking several files at once', () => {
+        let lessChanged;
+        let files;
+
+        beforeEach(() => {
+            const date = new Date();
+            const fs = new FakeFs();
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function (file) {
+                            const delay = file.path === 'a.less' ? 100 : file.path === 'b.less' ? 20 : 0;
+                            return new Promise(resolve => setTimeout(() => resolve([{ path: 'import.less', time: date.getTime() + 1 }]), delay));
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister });
+            files = ['a.less', 'b.less', 'c.less'].map(p => {
+                fs.file(p.replace('.less', '.css'), { mtime: date });
+                return new File({ path: p, stat: { mtime: date }, contents: new Buffer('') });
+            });
+        });
+
+        function runStream(options, done, assertions) {
+            const lessChangedStream = lessChanged(options);
+            const emitted = [];
+            lessChangedStream.on('data', file => emitted.push(file.path));
+            lessChangedStream.on('end', () => {
+                assertions(emitted);
+                done();
+            });
+            files.forEach(f => lessChangedStream.write(f));
+            lessChangedStream.end();
+        }
+
+        it('should keep the input order by default', done => {
+            runStream({ concurrency: 3 }, done, emitted => {
+                expect(emitted).to.deep.equal(['a.less', 'b.less', 'c.less']);
+            });
+        });
+
+        it('should emit files as they are checked when unordered', done => {
+            runStream({ concurrency: 3, ordered: false }, done, emitted => {
+                expect(emitted).to.deep.equal(['c.less', 'b.less', 'a.less']);
+            });
+        });
+
+        it('should not check more files at once than allowed', done => {
+            runStream({ concurrency: 2, ordered: false }, done, emitted => {
+                expect(emitted).to.deep.equal(['b.less', 'c.less', 'a.less']);
+            });
+        });
+
+        it('should throw for an invalid concurrency', () => {
+            expect(() => lessChanged({ concurrency: 0 })).to.throw('Invalid concurrency \'0\'.');
+            expect(() => lessChanged({ concurrency: 1.5 })).to.throw('Invalid concurrency \'1.5\'.');
+        });
+    });
+
+    describe('when a logger is provided', () => {
+        let fs;
+        let imports;
+        let lessChanged;
+        let log;
+        let olderDate;
+        let newerDate;
+
+        beforeEach(() => {
+            olderDate = new Date();
+            newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.file('main.css', { mtime: olderDate });
+
+            imports = [{ path: 'import.less', time: newerDate.getTime() }];
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return imports ? Promise.resolve(imports) : Promise.reject(new Error('Some error.'));
+                        }
+                    }
+                }
+            };
+
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister });
+            log = sinon.spy();
+        });
+
+        function runStream(options, done, assertions) {
+            const lessChangedStream = lessChanged(Object.assign({ logger: log }, options));
+            lessChangedStream.on('data', () => { });
+            lessChangedStream.on('end', () => {
+                try {
+                    assertions();
+                    done();
+                }
+                catch (error) {
+                    done(error);
+                }
+            });
+            lessChangedStream.write(new File({ path: 'main.less', stat: { mtime: olderDate }, contents: new Buffer('') }));
+            lessChangedStream.end();
+        }
+
+        it('should send errors to the logger', done => {
+            imports = null;
+            runStream({}, done, () => {
+                expect(log).to.have.been.calledWith('Failed to list imports for \'main.less\': Error: Some error.', 'error');
+            });
+        });
+
+        it('should not log anything when silent', done => {
+            imports = null;
+            runStream({ logLevel: 'silent', summary: true }, done, () => {
+                expect(log).not.to.have.been.called;
+            });
+        });
+
+        it('should log the summary through the logger', done => {
+            runStream({ summary: true }, done, () => {
+                expect(log).to.have.been.calledWith(sinon.match('checked 1 file(s): 1 passed through'), 'info');
+            });
+        });
+
+        it('should not trace timestamp comparisons by default', done => {
+            runStream({}, done, () => {
+                expect(log).not.to.have.been.calledWith(sinon.match.any, 'debug');
+            });
+        });
+
+        it('should trace timestamp comparisons at debug level', done => {
+            runStream({ logLevel: 'debug' }, done, () => {
+                expect(log).to.have.been.calledWith(
+                    `Comparing 'main.less' (${olderDate.getTime()}) with its output (${olderDate.getTime()}).`, 'debug');
+                expect(log).to.have.been.calledWith(
+                    `Dependency 'import.less' of 'main.less' (${newerDate.getTime()}) is newer than the output (${olderDate.getTime()}).`, 'debug');
+            });
+        });
+
+        it('should throw for an unknown log level', () => {
+            expect(() => lessChanged({ logLevel: 'verbose' })).to.throw('Unknown log level \'verbose\'.');
+        });
+    });
+
+    describe('when watching files', () => {
+        it('should throw if no task is given', () => {
+            const lessChanged = getLessChanged();
+            expect(() => lessChanged.watch('src/*.less', {})).to.throw('A watch task is required.');
+        });
+    });
+
+    describe('when checking files without a stream', () => {
+        let fs;
+        let snapshots;
+        let lessChanged;
+        let olderDate;
+        let newerDate;
+
+        beforeEach(() => {
+            olderDate = new Date();
+            newerDate = new Date();
+            newerDate.setDate(newerDate.getDate() + 1);
+
+            fs = new FakeFs();
+            fs.file('changed.less', { mtime: newerDate, content: '@import \'import.less\';' });
+            fs.file('unchanged.less', { mtime: olderDate, content: '@import \'import.less\';' });
+            fs.file('import.less', { mtime: olderDate, content: '' });
+            fs.file('changed.css', { mtime: olderDate });
+            fs.file('unchanged.css', { mtime: newerDate });
+
+            const importLister = {
+                ImportLister: function () {
+                    return {
+                        listImports: function () {
+                            return Promise.resolve([{ path: 'import.less', time: olderDate.getTime() }]);
+                        }
+                    }
+                }
+            };
+
+            snapshots = {};
+            lessChanged = getLessChanged({ fs: fs, listImports: importLister, snapshotStore: getFakeSnapshotStore(snapshots) });
+        });
+
+        it('should give the result for each file', async () => {
+            const results = await lessChanged.check(['changed.less', 'unchanged.less']);
+            expect(results).to.deep.equal([
+                { path: 'changed.less', changed: true, reason: 'file-changed', changedDependencies: [], dependencies: ['import.less'] },
+                { path: 'unchanged.less', changed: false, reason: null, changedDependencies: [], dependencies: ['import.less'] }
+            ]);
+        });
+
+        it('should accept a single path', async () => {
+            const results = await lessChanged.check('unchanged.less');
+            expect(results.map(r => r.path)).to.deep.equal(['unchanged.less']);
+        });
+
+        it('should not record anything as built', async () => {
+            const results = await lessChanged.check(['changed.less', 'unchanged.less'], { compare: 'hash' });
+            expect(results.map(r => r.reason)).to.deep.equal(['not-built', 'not-built']);
+            expect(snapshots).to.be.empty;
+        });
+
+        it('should find what was recorded for a relative path under the absolute path a stream gives', async () => {
+            snapshots[path.resolve('unchanged.less')] = {
+                [path.resolve('unchanged.less')]: md5('@import \'import.less\';'),
+                'import.less': md5(''),
+                '<fingerprint>': fingerprint()
+            };
+            const results = await lessChanged.check(['unchanged.less'], { compare: 'hash' });
+            expect(results).to.deep.equal([
+                { path: 'unchanged.less', changed: false, reason: null, changedDependencies: [], dependencies: ['import.less'] }
+            ]);
+        });
+
+        it('should leave out files imported by other checked files when excluding partials', async () => {
+            const results = await lessChanged.check(['changed.less', 'import.less', 'unchanged.less'], { excludePartials: true });
+            expect(results.map(r => r.path)).to.deep.equal(['changed.less', 'unchanged.less']);
+        });
+
+        it('should keep files imported by other checked files by default', async () => {
+            const results = await lessChanged.check(['changed.less', 'import.less']);
+            expect(results.map(r => r.path)).to.deep.equal(['changed.less', 'import.less']);
+        });
+
+        it('should reject if a file cannot be read', async () => {
+            let error;
+            try {
+                await lessChanged.check(['missing.less']);
+            }
+            catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain('Error processing \'missing.less\'');
+        });
+
+        it('should reject invalid options', async () => {
+            let error;
+            try {
+                await lessChanged.check(['changed.less'], { compare: 'size' });
+            }
+            catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('Unknown compare mode \'size\'.');
+        });
+    });
+});
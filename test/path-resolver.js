@@ -112,4 +112,184 @@ describe('path-resolver', () => {
             expect(resolved).to.equal(path.join(currentDirectory, filePath));
         });
     });
+
+    describe('when resolving plugins', () => {
+        const projectDirectory = path.resolve('/project');
+        const lessDirectory = path.join(projectDirectory, 'src', 'less');
+
+        it('should add the .js extension to plugins without one', async () => {
+            fakeFs.file(path.join(lessDirectory, 'plugin.js'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolvePlugin(lessDirectory, 'plugin');
+            expect(resolved).to.equal(path.join(lessDirectory, 'plugin.js'));
+        });
+
+        it('should keep the extension of plugins that have one', async () => {
+            fakeFs.file(path.join(lessDirectory, 'plugin.es5'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolvePlugin(lessDirectory, 'plugin.es5');
+            expect(resolved).to.equal(path.join(lessDirectory, 'plugin.es5'));
+        });
+
+        it('should look in the paths after the current directory', async () => {
+            const thisPath = path.join(projectDirectory, 'plugins');
+            fakeFs.file(path.join(thisPath, 'plugin.js'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolvePlugin(lessDirectory, 'plugin', ['bad1', thisPath]);
+            expect(resolved).to.equal(path.join(thisPath, 'plugin.js'));
+        });
+
+        it('should prefer the current directory to the paths', async () => {
+            const thisPath = path.join(projectDirectory, 'plugins');
+            fakeFs.file(path.join(lessDirectory, 'plugin.js'), { stat: { mtime: new Date() } });
+            fakeFs.file(path.join(thisPath, 'plugin.js'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolvePlugin(lessDirectory, 'plugin', [thisPath]);
+            expect(resolved).to.equal(path.join(lessDirectory, 'plugin.js'));
+        });
+
+        it('should use the main file of a package in node_modules', async () => {
+            const packageDirectory = path.join(projectDirectory, 'node_modules', 'less-plugin-thing');
+            fakeFs.file(path.join(packageDirectory, 'package.json'), { content: JSON.stringify({ main: 'lib/plugin.js' }) });
+            fakeFs.file(path.join(packageDirectory, 'lib', 'plugin.js'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolvePlugin(lessDirectory, 'less-plugin-thing', ['bad1']);
+            expect(resolved).to.equal(path.join(packageDirectory, 'lib', 'plugin.js'));
+        });
+
+        it('should use the index file of a package in node_modules without a main file', async () => {
+            const packageDirectory = path.join(lessDirectory, 'node_modules', 'less-plugin-thing');
+            fakeFs.file(path.join(packageDirectory, 'index.js'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolvePlugin(lessDirectory, 'less-plugin-thing');
+            expect(resolved).to.equal(path.join(packageDirectory, 'index.js'));
+        });
+
+        it('should prefer the paths to node_modules', async () => {
+            const thisPath = path.join(projectDirectory, 'plugins');
+            fakeFs.file(path.join(thisPath, 'thing.js'), { stat: { mtime: new Date() } });
+            fakeFs.file(path.join(projectDirectory, 'node_modules', 'thing', 'index.js'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolvePlugin(lessDirectory, 'thing', [thisPath]);
+            expect(resolved).to.equal(path.join(thisPath, 'thing.js'));
+        });
+
+        it('should not look in node_modules for relative plugin paths', async () => {
+            fakeFs.file(path.join(projectDirectory, 'node_modules', 'thing', 'index.js'), { stat: { mtime: new Date() } });
+            try {
+                await pathResolver.resolvePlugin(lessDirectory, './thing');
+                expect.fail(1, 0, 'Should have thrown an error.');
+            } catch (error) {
+                expect(error).to.be.an.instanceof(PathResolverError);
+            }
+        });
+
+        it('should throw error if plugin doesn\'t exist', async () => {
+            try {
+                await pathResolver.resolvePlugin(lessDirectory, 'missing');
+                expect.fail(1, 0, 'Should have thrown an error.');
+            } catch (error) {
+                expect(error.message).to.contain(`Import file 'missing' wasn't found.`);
+                expect(error.message).to.contain(`'${path.join(lessDirectory, 'missing.js')}'`);
+                expect(error.message).to.contain(`'${path.join(projectDirectory, 'node_modules', 'missing', 'index.js')}'`);
+            }
+        });
+    });
+
+    describe('when resolving paths into node_modules', () => {
+        const projectDirectory = path.resolve('/project');
+        const lessDirectory = path.join(projectDirectory, 'src', 'less');
+        const packageDirectory = path.join(projectDirectory, 'node_modules', 'bootstrap');
+
+        it('should look for the path in the nearest node_modules', async () => {
+            const filePath = path.join(lessDirectory, 'node_modules', 'bootstrap', 'less', 'variables.less');
+            fakeFs.file(filePath, { stat: { mtime: new Date() } });
+            fakeFs.file(path.join(packageDirectory, 'less', 'variables.less'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolve(lessDirectory, '~bootstrap/less/variables.less');
+            expect(resolved).to.equal(filePath);
+        });
+
+        it('should look for the path in node_modules in parent directories', async () => {
+            fakeFs.file(path.join(packageDirectory, 'less', 'variables.less'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolve(lessDirectory, '~bootstrap/less/variables.less', ['bad1']);
+            expect(resolved).to.equal(path.join(packageDirectory, 'less', 'variables.less'));
+        });
+
+        it('should find files in scoped packages', async () => {
+            const filePath = path.join(projectDirectory, 'node_modules', '@scope', 'theme', 'colors.less');
+            fakeFs.file(filePath, { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolve(lessDirectory, '~@scope/theme/colors.less');
+            expect(resolved).to.equal(filePath);
+        });
+
+        it('should use the less field of the package.json for a package name', async () => {
+            fakeFs.file(path.join(packageDirectory, 'package.json'), { content: JSON.stringify({ less: 'less/bootstrap.less', style: 'dist/bootstrap.css' }) });
+            fakeFs.file(path.join(packageDirectory, 'less', 'bootstrap.less'), { stat: { mtime: new Date() } });
+            fakeFs.file(path.join(packageDirectory, 'dist', 'bootstrap.css'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolve(lessDirectory, '~bootstrap');
+            expect(resolved).to.equal(path.join(packageDirectory, 'less', 'bootstrap.less'));
+        });
+
+        it('should use the style field of the package.json for a package name', async () => {
+            fakeFs.file(path.join(packageDirectory, 'package.json'), { content: JSON.stringify({ main: 'index.js', style: 'dist/bootstrap.css' }) });
+            fakeFs.file(path.join(packageDirectory, 'dist', 'bootstrap.css'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolve(lessDirectory, '~bootstrap');
+            expect(resolved).to.equal(path.join(packageDirectory, 'dist', 'bootstrap.css'));
+        });
+
+        it('should use index.less for a package name without a package.json', async () => {
+            fakeFs.file(path.join(packageDirectory, 'index.less'), { stat: { mtime: new Date() } });
+            const resolved = await pathResolver.resolve(lessDirectory, '~bootstrap');
+            expect(resolved).to.equal(path.join(packageDirectory, 'index.less'));
+        });
+
+        it('should throw error if the path isn\'t in any node_modules', async () => {
+            try {
+                await pathResolver.resolve(lessDirectory, '~bootstrap/less/variables.less', ['bad1']);
+                expect.fail(1, 0, 'Should have thrown an error.');
+            } catch (error) {
+                expect(error).to.be.an.instanceof(PathResolverError);
+                expect(error.message).to.contain(`Import file '~bootstrap/less/variables.less' wasn't found.`);
+                expect(error.message).to.contain(`'${path.join(packageDirectory, 'less', 'variables.less')}'`);
+                expect(error.message).not.to.contain(`'${path.join('bad1', '~bootstrap', 'less', 'variables.less')}'`);
+            }
+        });
+    });
+
+    describe('when resolving aliased paths', () => {
+        let aliasedResolver;
+
+        beforeEach(() => {
+            const resolverModule = getPathResolver({ fs: fakeFs });
+            PathResolverError = resolverModule.PathResolverError;
+            aliasedResolver = new resolverModule.PathResolver({
+                '@theme': 'packages/theme/less',
+                '@theme/icons': 'packages/icons'
+            });
+        });
+
+        it('should replace the prefix with the aliased directory', async () => {
+            const filePath = path.join('packages/theme/less', 'colors.less');
+            fakeFs.file(filePath, { stat: { mtime: new Date() } });
+            const resolved = await aliasedResolver.resolve('some/path', '@theme/colors.less', ['bad1']);
+            expect(resolved).to.equal(filePath);
+        });
+
+        it('should use the longest matching prefix', async () => {
+            const filePath = path.join('packages/icons', 'arrow.svg');
+            fakeFs.file(filePath, { stat: { mtime: new Date() } });
+            const resolved = await aliasedResolver.resolve('some/path', '@theme/icons/arrow.svg');
+            expect(resolved).to.equal(filePath);
+        });
+
+        it('should only match whole path segments', async () => {
+            const filePath = path.join('some/path', '@themes/colors.less');
+            fakeFs.file(filePath, { stat: { mtime: new Date() } });
+            const resolved = await aliasedResolver.resolve('some/path', '@themes/colors.less');
+            expect(resolved).to.equal(filePath);
+        });
+
+        it('should throw error if the aliased file doesn\'t exist', async () => {
+            try {
+                await aliasedResolver.resolve('some/path', '@theme/colors.less', ['bad1']);
+                expect.fail(1, 0, 'Should have thrown an error.');
+            } catch (error) {
+                expect(error).to.be.an.instanceof(PathResolverError);
+                expect(error.message).to.contain(`Import file '@theme/colors.less' wasn't found. Tried: '${path.join('packages/theme/less', 'colors.less')}'.`);
+            }
+        });
+    });
 });
\ No newline at end of file
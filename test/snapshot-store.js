@@ -0,0 +1,102 @@
+'use strict';
+
+import chai from 'chai';
+import FakeFs from 'fake-fs';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import path from 'path';
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const { Logger } = require('../release/logger');
+
+function getSnapshotStoreModule(options) {
+    options = options || {};
+    const fsStub = options.fs || new FakeFs();
+    const mkdirpStub = options.mkdirp || ((path, done) => { done(); });
+    return proxyquire('../release/snapshot-store', { 'fs': fsStub, 'mkdirp': mkdirpStub });
+}
+
+describe('snapshot-store', () => {
+    describe('when creating an instance', () => {
+        it('should throw if created without a store file', () => {
+            const { SnapshotStore } = getSnapshotStoreModule();
+            expect(() => new SnapshotStore()).to.throw('A store file is required.');
+        });
+    });
+
+    describe('when storing snapshots', () => {
+        const storeFile = path.join('temp', 'dir', 'snapshots.json');
+        let fsStub;
+        let mkdirpStub;
+        let SnapshotStore;
+        let spyContext;
+
+        beforeEach(() => {
+            spyContext = sinon.sandbox.create();
+            fsStub = new FakeFs();
+            fsStub.dir(path.join('temp', 'dir'));
+            mkdirpStub = spyContext.stub().callsArg(1);
+            SnapshotStore = getSnapshotStoreModule({ fs: fsStub, mkdirp: mkdirpStub }).SnapshotStore;
+        });
+
+        afterEach(() => {
+            spyContext.restore();
+        });
+
+        it('should return null for an entry without a snapshot', async () => {
+            const store = new SnapshotStore(storeFile);
+            expect(await store.get('main.less')).to.be.null;
+        });
+
+        it('should return a stored snapshot', async () => {
+            const store = new SnapshotStore(storeFile);
+            await store.set('main.less', { 'main.less': 'abc' });
+            expect(await store.get('main.less')).to.deep.equal({ 'main.less': 'abc' });
+        });
+
+        it('should write the snapshots to disk', async () => {
+            spyContext.spy(fsStub, 'writeFile');
+            const store = new SnapshotStore(storeFile);
+            await store.set('main.less', { 'main.less': 'abc' });
+            expect(mkdirpStub).to.have.been.calledWith(path.dirname(storeFile), sinon.match.func);
+            expect(fsStub.writeFile).to.have.been.calledWith(storeFile, JSON.stringify({ 'main.less': { 'main.less': 'abc' } }));
+        });
+
+        it('should load snapshots from disk', async () => {
+            fsStub.file(storeFile, JSON.stringify({ 'main.less': { 'main.less': 'abc' } }));
+            const store = new SnapshotStore(storeFile);
+            expect(await store.get('main.less')).to.deep.equal({ 'main.less': 'abc' });
+        });
+
+        it('should share snapshots between instances using the same store file', async () => {
+            await new SnapshotStore(storeFile).set('main.less', { 'main.less': 'abc' });
+            expect(await new SnapshotStore(storeFile).get('main.less')).to.deep.equal({ 'main.less': 'abc' });
+        });
+
+        it('should keep all snapshots when several are stored at once', async () => {
+            const store = new SnapshotStore(storeFile);
+            await Promise.all([store.set('a.less', { 'a.less': '1' }), store.set('b.less', { 'b.less': '2' })]);
+            expect(JSON.parse(fsStub.readFileSync(storeFile))).to.deep.equal({ 'a.less': { 'a.less': '1' }, 'b.less': { 'b.less': '2' } });
+        });
+
+        it('should log a warning if the store file cannot be read', async () => {
+            const log = spyContext.spy();
+            spyContext.stub(fsStub, 'readFile').throws(new Error('Something went wrong.'));
+            const store = new SnapshotStore(storeFile, new Logger('warn', log));
+            expect(await store.get('main.less')).to.be.null;
+            expect(log).to.have.been.calledWith(`Failed to load snapshots from '${storeFile}'. Error: Something went wrong.`, 'warn');
+        });
+
+        it('should log a warning if the store file cannot be written', async () => {
+            const log = spyContext.spy();
+            spyContext.stub(fsStub, 'writeFile').callsArgWith(2, new Error('Something went wrong.'));
+            const store = new SnapshotStore(storeFile, new Logger('warn', log));
+            await store.set('main.less', { 'main.less': 'abc' });
+            expect(log).to.have.been.calledWith(`Failed to save snapshots to '${storeFile}'. Error: Something went wrong.`, 'warn');
+        });
+    });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+import chai from 'chai';
+import FakeFs from 'fake-fs';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import path from 'path';
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const { Logger } = require('../release/logger');
+
+function getWatcher(options) {
+    const globStub = (pattern, globOptions, callback) => callback(null, options.globs[pattern] || []);
+    return proxyquire('../release/watcher', { 'fs': options.fs, 'glob': globStub }).Watcher;
+}
+
+function addFileWatchers(fsStub) {
+    const fileWatchers = {};
+    fsStub.watch = (filePath, listener) => {
+        const fileWatcher = { listener: listener, close: sinon.spy() };
+        fileWatchers[filePath] = fileWatcher;
+        return fileWatcher;
+    };
+    return fileWatchers;
+}
+
+describe('watcher', () => {
+    let fsStub;
+    let fileWatchers;
+    let dependencies;
+    let importLister;
+    let Watcher;
+    let watcher;
+
+    beforeEach(() => {
+        fsStub = new FakeFs();
+        fsStub.file(path.resolve('main.less'), { content: '' });
+        fsStub.file(path.resolve('other.less'), { content: '' });
+        fsStub.file(path.resolve('_vars.less'), { content: '' });
+        fsStub.file(path.resolve('_mixins.less'), { content: '' });
+        fileWatchers = addFileWatchers(fsStub);
+
+        dependencies = {
+            [path.resolve('main.less')]: ['_vars.less', '_mixins.less'],
+            [path.resolve('other.less')]: ['_mixins.less']
+        };
+        importLister = {
+            listImports: sinon.spy(file => Promise.resolve(dependencies[file.path].map(d => { return { path: d, time: 0 } })))
+        };
+
+        Watcher = getWatcher({ fs: fsStub, globs: { '*.less': ['main.less', 'other.less'] } });
+    });
+
+    afterEach(() => {
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+    });
+
+    function startWatching(task) {
+        watcher = new Watcher(['*.less'], importLister, task || (() => { }), new Logger('silent'), 0);
+        return watcher.ready;
+    }
+
+    function waitForTask() {
+        let resolveTask;
+        const taskRun = new Promise(resolve => resolveTask = resolve);
+        return { task: entries => resolveTask(entries), taskRun: taskRun };
+    }
+
+    it('should throw if created without a task', () => {
+        expect(() => new Watcher(['*.less'], importLister, undefined, new Logger('silent'))).to.throw('A watch task is required.');
+    });
+
+    it('should watch the entries and their dependencies', async () => {
+        await startWatching();
+        expect(watcher.getWatchedFiles()).to.deep.equal(
+            ['_mixins.less', '_vars.less', 'main.less', 'other.less'].map(p => path.resolve(p)));
+    });
+
+    it('should call the task with the entries affected by a changed dependency', async () => {
+        const { task, taskRun } = waitForTask();
+        await startWatching(task);
+
+        fileWatchers[path.resolve('_vars.less')].listener('change');
+        expect(await taskRun).to.deep.equal([path.resolve('main.less')]);
+    });
+
+    it('should call the task with all the entries affected by changes made together', async () => {
+        const { task, taskRun } = waitForTask();
+        await startWatching(task);
+
+        fileWatchers[path.resolve('_vars.less')].listener('change');
+        fileWatchers[path.resolve('other.less')].listener('change');
+        expect(await taskRun).to.deep.equal([path.resolve('main.less'), path.resolve('other.less')]);
+    });
+
+    it('should watch new dependencies of an entry that has changed', async () => {
+        const { task, taskRun } = waitForTask();
+        await startWatching(task);
+
+        fsStub.file(path.resolve('_new.less'), { content: '' });
+        dependencies[path.resolve('other.less')] = ['_new.less'];
+        fileWatchers[path.resolve('other.less')].listener('change');
+        await taskRun;
+
+        expect(watcher.getWatchedFiles()).to.include(path.resolve('_new.less'));
+    });
+
+    it('should stop watching files that are no longer dependencies', async () => {
+        const { task, taskRun } = waitForTask();
+        await startWatching(task);
+        const varsWatcher = fileWatchers[path.resolve('_vars.less')];
+
+        dependencies[path.resolve('main.less')] = ['_mixins.less'];
+        fileWatchers[path.resolve('main.less')].listener('change');
+        await taskRun;
+
+        expect(watcher.getWatchedFiles()).not.to.include(path.resolve('_vars.less'));
+        expect(varsWatcher.close).to.have.been.called;
+    });
+
+    it('should watch a file again after it has been replaced', async () => {
+        const { task, taskRun } = waitForTask();
+        await startWatching(task);
+        const varsWatcher = fileWatchers[path.resolve('_vars.less')];
+
+        varsWatcher.listener('rename');
+        await taskRun;
+
+        expect(varsWatcher.close).to.have.been.called;
+        expect(fileWatchers[path.resolve('_vars.less')]).not.to.equal(varsWatcher);
+        expect(watcher.getWatchedFiles()).to.include(path.resolve('_vars.less'));
+    });
+
+    it('should not call the task for an entry that has been deleted', async () => {
+        const task = sinon.spy();
+        await startWatching(task);
+
+        fsStub.unlink(path.resolve('other.less'));
+        fileWatchers[path.resolve('other.less')].listener('rename');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(task).not.to.have.been.called;
+        expect(watcher.getWatchedFiles()).not.to.include(path.resolve('other.less'));
+    });
+
+    it('should stop watching all files when closed', async () => {
+        await startWatching();
+        const mainWatcher = fileWatchers[path.resolve('main.less')];
+
+        watcher.close();
+        expect(mainWatcher.close).to.have.been.called;
+        expect(watcher.getWatchedFiles()).to.be.empty;
+    });
+});